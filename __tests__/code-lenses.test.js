@@ -0,0 +1,124 @@
+const EventEmitter = require('events');
+const CodeLensProvider = require('../src/code-lenses');
+const { TextDocument } = require('../src/document-store');
+const { findTestBlocks, findScriptEntries } = CodeLensProvider;
+
+const testFile = [
+  "// test('commented out', () => {})",
+  "describe('math', () => {",
+  "  const pattern = /\\(/;",
+  "  it('adds \\'one\\'', () => {",
+  '    expect(add(1)).toBe(2);',
+  '  });',
+  "  describe.skip('nested', () => {",
+  "    test.each([1])('each %i', () => {});",
+  "    test('deep', async () => { foo.test('x'); });",
+  '  });',
+  '});',
+  "test('unfinished', () => {"
+].join('\n');
+
+describe('findTestBlocks', () => {
+  test('finds named blocks with their describe path', () => {
+    const blocks = findTestBlocks(testFile);
+    expect(blocks.map(block => [block.kind, block.fullName])).toEqual([
+      ['describe', 'math'],
+      ['test', "math adds 'one'"],
+      ['describe', 'math nested'],
+      ['test', 'math nested deep'],
+      ['test', 'unfinished']
+    ]);
+  });
+
+  test('spans the whole call, or the rest of the file while it is being typed', () => {
+    const [math, , , , unfinished] = findTestBlocks(testFile);
+    expect(testFile.slice(math.start, math.end)).toMatch(/^describe\('math'[\s\S]*\}\)$/);
+    expect(unfinished.end).toBe(testFile.length);
+  });
+});
+
+describe('findScriptEntries', () => {
+  test('finds the keys of the top-level scripts object only', () => {
+    const text = JSON.stringify({
+      name: 'app',
+      config: { scripts: { nope: 'x' } },
+      scripts: { test: 'jest', 'build:"prod"': 'tsc' },
+      files: ['scripts']
+    }, null, 2);
+    const entries = findScriptEntries(text);
+    expect(entries.map(entry => entry.name)).toEqual(['test', 'build:"prod"']);
+    expect(text.slice(entries[0].start, entries[0].end)).toBe('"test"');
+  });
+});
+
+describe('CodeLensProvider', () => {
+  const folder = { uri: 'file:///app', path: '/app' };
+
+  test('shows the last result of each test and describe block', () => {
+    const provider = new CodeLensProvider();
+    const runner = new EventEmitter();
+    runner.rootPath = '/app';
+    provider.attach(runner);
+
+    const uri = 'file:///app/__tests__/math.test.js';
+    runner.emit('testResults', {
+      files: [{
+        uri,
+        tests: [
+          { fullName: "math adds 'one'", status: 'passed', duration: 12 },
+          { fullName: 'math nested deep', status: 'failed', duration: 1500 }
+        ]
+      }]
+    });
+
+    const lenses = provider.provideCodeLenses(new TextDocument(uri, testFile), folder);
+    expect(lenses.map(lens => lens.command.title)).toEqual([
+      '▶ Run · ✗ 1.5s', 'Run file',
+      '▶ Run · ✓ 12ms', 'Run file',
+      '▶ Run · ✗ 1.5s', 'Run file',
+      '▶ Run · ✗ 1.5s', 'Run file',
+      '▶ Run', 'Run file'
+    ]);
+    expect(lenses[2].range.start).toEqual({ line: 3, character: 2 });
+    expect(lenses[2].command.arguments).toEqual([uri, "math adds 'one'"]);
+    expect(lenses[3].command.arguments).toEqual([uri]);
+  });
+
+  test('keeps results of tests a filtered run skipped', () => {
+    const provider = new CodeLensProvider();
+    const uri = 'file:///app/a.test.js';
+    provider.recordTestFile({ uri, tests: [{ fullName: 'a', status: 'failed', duration: 1 }, { fullName: 'b', status: 'passed', duration: 1 }] });
+    provider.recordTestFile({ uri, tests: [{ fullName: 'a', status: 'pending', duration: 0 }, { fullName: 'b', status: 'failed', duration: 2 }] });
+    expect(Array.from(provider.testResults.get(uri).tests.keys())).toEqual(['a', 'b']);
+
+    provider.recordTestFile({ uri, tests: [{ fullName: 'b', status: 'passed', duration: 2 }] });
+    expect(Array.from(provider.testResults.get(uri).tests.keys())).toEqual(['b']);
+  });
+
+  test('runs scripts of the folder manifest and shows how they went', () => {
+    const provider = new CodeLensProvider();
+    const runner = new EventEmitter();
+    runner.rootPath = '/app';
+    provider.attach(runner);
+    runner.emit('taskStarted', { taskId: 'build-1', label: 'build' });
+    runner.emit('taskEnded', { taskId: 'build-1', cancelled: false, success: true });
+
+    const text = '{\n  "scripts": {\n    "build": "tsc",\n    "lint": "eslint ."\n  }\n}\n';
+    const lenses = provider.provideCodeLenses(new TextDocument('file:///app/package.json', text), folder);
+    expect(lenses.map(lens => lens.command.title)).toEqual([expect.stringMatching(/^▶ npm run build · ✓ \d+ms$/), '▶ npm run lint']);
+    expect(lenses[1].command).toMatchObject({ command: 'volt-lsp:runScript', arguments: ['file:///app', 'lint'] });
+
+    expect(provider.provideCodeLenses(new TextDocument('file:///app/packages/lib/package.json', text), folder)).toEqual([]);
+  });
+
+  test('matches files whose URI the client encodes differently', () => {
+    const provider = new CodeLensProvider();
+    const scoped = { uri: 'file:///app/%40scope', path: '/app/@scope' };
+    provider.recordTestFile({ uri: 'file:///app/@scope/a+b.test.js', tests: [{ fullName: 'a', status: 'passed', duration: 3 }] });
+
+    const testLenses = provider.provideCodeLenses(new TextDocument('file:///app/%40scope/a%2Bb.test.js', "test('a', () => {});\n"), scoped);
+    expect(testLenses[0].command.title).toBe('▶ Run · ✓ 3ms');
+    const scriptLenses = provider.provideCodeLenses(new TextDocument('file:///app/%40scope/package.json', '{ "scripts": { "build": "tsc" } }'), scoped);
+    expect(scriptLenses.map(lens => lens.command.title)).toEqual(['▶ npm run build']);
+  });
+});
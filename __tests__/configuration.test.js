@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Configuration = require('../src/configuration');
+
+describe('Configuration', () => {
+  let rootPath;
+
+  beforeEach(() => {
+    rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'volt-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootPath, { recursive: true, force: true });
+  });
+
+  const write = (name, value) => fs.writeFileSync(path.join(rootPath, name), JSON.stringify(value));
+
+  test('merges project file, initializationOptions and client settings in order', () => {
+    write('.voltrc.json', { timeouts: { completion: 1000, default: 8000 }, scripts: { test: ['test:ci'] } });
+    const configuration = new Configuration(rootPath);
+    configuration.loadProjectConfig();
+    configuration.setLayer('initializationOptions', { timeouts: { completion: 2000 }, logLevel: 'warn' });
+    configuration.setLayer('client', { timeouts: { default: 9000 }, scripts: { test: 'unit' } });
+
+    expect(configuration.get('timeouts')).toEqual({ completion: 2000, default: 9000 });
+    expect(configuration.get('scripts.test')).toBe('unit');
+    expect(configuration.get('logLevel')).toBe('warn');
+  });
+
+  test('falls back to the "volt" key in package.json', () => {
+    write('package.json', { name: 'app', volt: { notifications: { taskStarted: false } } });
+    const configuration = new Configuration(rootPath);
+    configuration.loadProjectConfig();
+
+    expect(configuration.get('notifications.taskStarted')).toBe(false);
+  });
+
+  test('emits changed only when the merged settings differ', () => {
+    const configuration = new Configuration(rootPath);
+    const changed = jest.fn();
+    configuration.on('changed', changed);
+
+    configuration.setLayer('client', { inlayHints: { parameterTypes: true } });
+    configuration.setLayer('client', { inlayHints: { parameterTypes: true } });
+    configuration.setLayer('client', null);
+
+    expect(changed).toHaveBeenCalledTimes(2);
+    expect(changed.mock.calls[1][0].inlayHints).toBeUndefined();
+  });
+});
@@ -0,0 +1,110 @@
+const EventEmitter = require('events');
+const DiagnosticStore = require('../src/diagnostic-store');
+const TaskDiagnostics = require('../src/task-diagnostics');
+
+const diagnostic = (message, source) => ({
+  range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } },
+  message,
+  source
+});
+
+describe('DiagnosticStore', () => {
+  test('publishes the merged list of every source for a file', () => {
+    const store = new DiagnosticStore();
+    const published = [];
+    store.on('changed', (uri, diagnostics) => published.push(diagnostics.map(d => d.message)));
+
+    store.set('file:///a.ts', 'tsserver', [diagnostic('type error')]);
+    store.set('file:///a.ts', 'eslint', [diagnostic('no-unused-vars'), diagnostic('semi')]);
+    store.set('file:///a.ts', 'tsserver', []);
+    store.set('file:///b.ts', 'tsserver', []);
+
+    expect(published).toEqual([
+      ['type error'],
+      ['type error', 'no-unused-vars', 'semi'],
+      ['no-unused-vars', 'semi']
+    ]);
+  });
+});
+
+describe('TaskDiagnostics', () => {
+  let store;
+  let taskRunner;
+
+  beforeEach(() => {
+    store = new DiagnosticStore();
+    taskRunner = new EventEmitter();
+    taskRunner.rootPath = '/app';
+    new TaskDiagnostics(store).attach(taskRunner);
+  });
+
+  const run = (taskId, results) => {
+    taskRunner.emit('taskStarted', { taskId, label: 'build' });
+    for (const [uri, message] of results) {
+      taskRunner.emit('diagnostic', { taskId, source: 'tsc', uri, diagnostic: diagnostic(message, 'tsc') });
+    }
+    taskRunner.emit('taskEnded', { taskId, cancelled: false });
+  };
+
+  test('replaces a file on re-run and clears files that are fixed', () => {
+    store.set('file:///app/a.ts', 'tsserver', [diagnostic('from tsserver')]);
+    run('build-1', [['file:///app/a.ts', 'old a'], ['file:///app/b.ts', 'old b']]);
+    run('build-2', [['file:///app/a.ts', 'new a']]);
+
+    expect(store.get('file:///app/a.ts').map(d => d.message)).toEqual(['from tsserver', 'new a']);
+    expect(store.get('file:///app/b.ts')).toEqual([]);
+  });
+
+  test('clears everything from the previous run when the task reports nothing', () => {
+    run('build-1', [['file:///app/a.ts', 'old a']]);
+    run('build-2', []);
+
+    expect(store.urisFor('tsc')).toEqual([]);
+  });
+
+  test('replaces the diagnostics of a watch task on every cycle', () => {
+    const report = (uri, message) => {
+      taskRunner.emit('diagnostic', { taskId: 'watch-1', source: 'tsc', uri, diagnostic: diagnostic(message, 'tsc') });
+    };
+    taskRunner.emit('taskStarted', { taskId: 'watch-1', label: 'build:watch' });
+    report('file:///app/a.ts', 'a, first cycle');
+    report('file:///app/b.ts', 'b, first cycle');
+    taskRunner.emit('taskCycle', { taskId: 'watch-1' });
+    report('file:///app/a.ts', 'a, second cycle');
+    taskRunner.emit('taskCycle', { taskId: 'watch-1' });
+
+    expect(store.get('file:///app/a.ts').map(d => d.message)).toEqual(['a, second cycle']);
+    expect(store.get('file:///app/b.ts')).toEqual([]);
+
+    // Killing the watcher keeps what its last cycle found
+    taskRunner.emit('taskEnded', { taskId: 'watch-1', cancelled: true });
+    expect(store.urisFor('tsc')).toEqual(['file:///app/a.ts']);
+  });
+
+  test('lets a scoped Jest run speak only for the tests it ran', () => {
+    const failure = (test) => ({ ...diagnostic(test, 'jest'), data: { test } });
+    const jestRun = (taskId, label, files, failures, scoped) => {
+      taskRunner.emit('taskStarted', { taskId, label });
+      taskRunner.emit('testResults', { taskId, files, scoped });
+      for (const [uri, test] of failures) {
+        taskRunner.emit('diagnostic', { taskId, source: 'jest', uri, diagnostic: failure(test) });
+      }
+      taskRunner.emit('taskEnded', { taskId, cancelled: false });
+    };
+    const a = 'file:///app/a.test.js';
+    const b = 'file:///app/b.test.js';
+
+    jestRun('test-1', 'test', [
+      { uri: a, tests: [{ fullName: 'a one', status: 'failed' }, { fullName: 'a two', status: 'failed' }] },
+      { uri: b, tests: [{ fullName: 'b one', status: 'failed' }] }
+    ], [[a, 'a one'], [a, 'a two'], [b, 'b one']], false);
+
+    // "a one" fixed and rerun from its lens: "a two" was skipped, b.test.js wasn't in the run
+    jestRun('test-2', 'test: a one', [
+      { uri: a, tests: [{ fullName: 'a one', status: 'passed' }, { fullName: 'a two', status: 'pending' }] }
+    ], [], true);
+
+    expect(store.get(a).map(d => d.message)).toEqual(['a two']);
+    expect(store.get(b).map(d => d.message)).toEqual(['b one']);
+  });
+});
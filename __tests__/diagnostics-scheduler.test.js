@@ -0,0 +1,82 @@
+const EventEmitter = require('events');
+const DocumentStore = require('../src/document-store');
+const DiagnosticsScheduler = require('../src/diagnostics-scheduler');
+
+describe('DiagnosticsScheduler', () => {
+  const uri = 'file:///project/a.ts';
+  const other = 'file:///project/b.ts';
+  let proxy;
+  let documents;
+  let scheduler;
+  let published;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    proxy = new EventEmitter();
+    proxy.requestDiagnostics = jest.fn().mockResolvedValue(undefined);
+    documents = new DocumentStore();
+    documents.open(other, 'let b = 1;', 1);
+    documents.open(uri, 'let a = 1;', 1);
+    scheduler = new DiagnosticsScheduler(proxy, documents, { delay: 100 });
+    published = [];
+    scheduler.on('diagnostics', (u, diagnostics) => published.push([u, diagnostics]));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('debounces requests and puts the changed file first', () => {
+    scheduler.schedule(uri);
+    jest.advanceTimersByTime(50);
+    scheduler.schedule(uri);
+    jest.advanceTimersByTime(99);
+    expect(proxy.requestDiagnostics).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(proxy.requestDiagnostics).toHaveBeenCalledTimes(1);
+    expect(proxy.requestDiagnostics).toHaveBeenCalledWith([uri, other]);
+  });
+
+  test('merges syntax, semantic and suggestion results per file', () => {
+    scheduler.schedule(uri);
+    jest.runAllTimers();
+
+    proxy.emit('diagnostics', uri, [{ message: 'syntax' }], 'syntax');
+    proxy.emit('diagnostics', uri, [{ message: 'semantic' }], 'semantic');
+    proxy.emit('diagnostics', uri, [{ message: 'hint' }], 'suggestion');
+    proxy.emit('diagnostics', uri, [], 'syntax');
+
+    expect(published[published.length - 1]).toEqual([uri, [{ message: 'semantic' }, { message: 'hint' }]]);
+  });
+
+  test('publishes under the URI the client opened the file with', () => {
+    const encoded = 'file:///project/%40scope/a%2Bb%20c.ts';
+    documents.open(encoded, 'let c = 1;', 1);
+    scheduler.schedule(encoded);
+    jest.runAllTimers();
+
+    // tsserver's path turned back into a URI by pathToFileURL
+    proxy.emit('diagnostics', 'file:///project/@scope/a+b%20c.ts', [{ message: 'semantic' }], 'semantic');
+    expect(published).toEqual([[encoded, [{ message: 'semantic' }]]]);
+  });
+
+  test('drops results for documents edited after the round started', () => {
+    scheduler.schedule(uri);
+    jest.runAllTimers();
+    documents.applyChanges(uri, 2, [{ text: 'let a = 2;' }]);
+
+    proxy.emit('diagnostics', uri, [{ message: 'stale' }], 'semantic');
+    expect(published).toEqual([]);
+  });
+
+  test('clears published diagnostics when a document closes', () => {
+    scheduler.schedule(uri);
+    jest.runAllTimers();
+    proxy.emit('diagnostics', uri, [{ message: 'semantic' }], 'semantic');
+
+    documents.close(uri);
+    scheduler.clear(uri);
+    expect(published[published.length - 1]).toEqual([uri, []]);
+  });
+});
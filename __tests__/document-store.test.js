@@ -0,0 +1,45 @@
+const DocumentStore = require('../src/document-store');
+
+describe('DocumentStore', () => {
+  const uri = 'file:///project/a.ts';
+  let store;
+
+  beforeEach(() => {
+    store = new DocumentStore();
+    jest.spyOn(store.logger, 'warn').mockImplementation(() => {});
+    store.open(uri, 'const a = 1;\nconst b = 2;\n', 1);
+  });
+
+  test('applies ranged changes and reports edits against the previous text', () => {
+    const edits = store.applyChanges(uri, 2, [
+      { range: { start: { line: 1, character: 6 }, end: { line: 1, character: 7 } }, text: 'bee' },
+      { range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } }, text: '// x\n' }
+    ]);
+
+    expect(store.get(uri).text).toBe('// x\nconst a = 1;\nconst bee = 2;\n');
+    expect(store.get(uri).version).toBe(2);
+    expect(edits[0]).toEqual({
+      range: { start: { line: 1, character: 6 }, end: { line: 1, character: 7 } },
+      text: 'bee'
+    });
+  });
+
+  test('turns a full-text change into an edit spanning the whole document', () => {
+    const edits = store.applyChanges(uri, 2, [{ text: 'x' }]);
+    expect(store.get(uri).text).toBe('x');
+    expect(edits[0].range).toEqual({ start: { line: 0, character: 0 }, end: { line: 2, character: 0 } });
+  });
+
+  test('ignores stale versions', () => {
+    expect(store.applyChanges(uri, 1, [{ text: 'stale' }])).toBeNull();
+    expect(store.get(uri).text).toBe('const a = 1;\nconst b = 2;\n');
+  });
+
+  test('positionAt and offsetAt round-trip across CRLF line endings', () => {
+    const doc = store.open('file:///project/b.ts', 'a\r\nbc\r\n', 1);
+    expect(doc.lineCount).toBe(3);
+    expect(doc.positionAt(4)).toEqual({ line: 1, character: 1 });
+    expect(doc.offsetAt({ line: 1, character: 1 })).toBe(4);
+    expect(doc.offsetAt({ line: 1, character: 99 })).toBe(7);
+  });
+});
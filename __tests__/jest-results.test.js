@@ -0,0 +1,81 @@
+const { toJestDiagnostics, summarizeJestResults } = require('../src/jest-results');
+
+const report = {
+  success: false,
+  numPassedTests: 3,
+  numFailedTests: 2,
+  numPendingTests: 1,
+  numTodoTests: 0,
+  numTotalTests: 6,
+  numFailedTestSuites: 2,
+  numTotalTestSuites: 3,
+  testResults: [
+    {
+      name: '/project/__tests__/math.test.js',
+      status: 'failed',
+      message: '',
+      assertionResults: [
+        { title: 'adds', fullName: 'math adds', status: 'passed', location: { line: 3, column: 3 } },
+        {
+          title: 'subtracts',
+          fullName: 'math subtracts',
+          status: 'failed',
+          location: { line: 7, column: 3 },
+          failureMessages: [
+            '\u001b[2mexpect(\u001b[22mreceived\u001b[2m).toBe(\u001b[22mexpected\u001b[2m)\u001b[22m\n\n' +
+            'Expected: 1\nReceived: 2\n' +
+            '    at Object.toBe (/project/__tests__/math.test.js:8:20)\n' +
+            '    at Promise.then.completed (/project/node_modules/jest-circus/build/utils.js:298:28)'
+          ]
+        },
+        {
+          title: 'divides',
+          fullName: 'math divides',
+          status: 'failed',
+          location: { line: 12, column: 3 },
+          failureMessages: ['thrown: "Exceeded timeout of 5000 ms for a test."']
+        }
+      ]
+    },
+    {
+      name: '/project/__tests__/broken.test.js',
+      status: 'failed',
+      message: 'Test suite failed to run\n\n    Cannot find module \'./missing\'\n\n      at Object.<anonymous> (/project/__tests__/broken.test.js:1:1)',
+      assertionResults: []
+    }
+  ]
+};
+
+describe('toJestDiagnostics', () => {
+  test('reports each failed test at its failing expect line', () => {
+    const [subtracts, divides] = toJestDiagnostics(report);
+
+    expect(subtracts.uri).toBe('file:///project/__tests__/math.test.js');
+    expect(subtracts.diagnostic.range.start).toEqual({ line: 7, character: 19 });
+    expect(subtracts.diagnostic.message).toBe('math subtracts\n\nexpect(received).toBe(expected)\n\nExpected: 1\nReceived: 2');
+    expect(subtracts.diagnostic.data).toEqual({ test: 'math subtracts' });
+
+    // No frame in the test file: falls back to the test's location
+    expect(divides.diagnostic.range.start).toEqual({ line: 11, character: 2 });
+  });
+
+  test('reports suites that failed to run', () => {
+    const suite = toJestDiagnostics(report)[2];
+    expect(suite.uri).toBe('file:///project/__tests__/broken.test.js');
+    expect(suite.diagnostic.range.start).toEqual({ line: 0, character: 0 });
+    expect(suite.diagnostic.message).toMatch(/^Test suite failed to run\n\n[\s\S]*Cannot find module/);
+  });
+});
+
+describe('summarizeJestResults', () => {
+  test('counts tests and failed suites', () => {
+    expect(summarizeJestResults(report)).toMatchObject({
+      success: false,
+      passed: 3,
+      failed: 2,
+      skipped: 1,
+      total: 6,
+      message: 'Tests: 2 failed, 3 passed, 1 skipped, 6 total (2 of 3 suites failed)'
+    });
+  });
+});
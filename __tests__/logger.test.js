@@ -1,5 +1,9 @@
+const { PassThrough } = require('stream');
 const Logger = require('../src/logger');
 
+// node-fetch is ESM-only; the sessions below never fetch anything
+jest.mock('node-fetch', () => jest.fn());
+
 describe('Logger.profile', () => {
   test('returns valid duration and logs debug message', () => {
     const logger = new Logger();
@@ -14,3 +18,35 @@ describe('Logger.profile', () => {
     );
   });
 });
+
+describe('Logger.setLevel', () => {
+  test('overrides the level of that logger only', () => {
+    const configured = new Logger('A');
+    const other = new Logger('B');
+    configured.setLevel('error');
+    expect(configured.shouldLog('info')).toBe(false);
+    expect(configured.shouldLog('error')).toBe(true);
+    expect(other.shouldLog('info')).toBe(true);
+  });
+
+  test('ignores unknown levels', () => {
+    const logger = new Logger();
+    logger.setLevel('error');
+    logger.setLevel('verbose');
+    expect(logger.levelOverride).toBeNull();
+  });
+
+  test('keeps the level of each session sharing the process apart', () => {
+    const VoltLSP = require('../index');
+    const LSPConnection = require('../src/lsp-connection');
+    const quiet = new VoltLSP(new LSPConnection({ input: new PassThrough(), output: new PassThrough() }));
+    const chatty = new VoltLSP(new LSPConnection({ input: new PassThrough(), output: new PassThrough() }));
+    quiet.setLogLevel('error');
+    chatty.setLogLevel('debug');
+    expect(quiet.logger.shouldLog('info')).toBe(false);
+    expect(quiet.connection.logger.shouldLog('warn')).toBe(false);
+    expect(quiet.documents.logger.shouldLog('info')).toBe(false);
+    expect(chatty.logger.shouldLog('debug')).toBe(true);
+    expect(chatty.connection.logger.shouldLog('debug')).toBe(true);
+  });
+});
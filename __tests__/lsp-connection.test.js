@@ -0,0 +1,111 @@
+const LSPConnection = require('../src/lsp-connection');
+const { ResponseError } = require('../src/lsp-connection');
+const { CancelledError } = require('../src/cancellation');
+
+describe('LSPConnection requests', () => {
+  let connection;
+  let sent;
+
+  beforeEach(() => {
+    connection = new LSPConnection();
+    sent = [];
+    connection.sendMessage = (message) => sent.push(message);
+  });
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('passes a cancellation token and answers cancelled requests with RequestCancelled', async () => {
+    let resolveWork;
+    connection.on('textDocument/hover', async (params, id, token) => {
+      await new Promise(resolve => { resolveWork = resolve; });
+      expect(token.isCancellationRequested).toBe(true);
+      connection.sendResponse(id, { contents: 'late' });
+    });
+
+    connection.handleMessage({ jsonrpc: '2.0', id: 7, method: 'textDocument/hover', params: {} });
+    await flush();
+    connection.handleMessage({ jsonrpc: '2.0', method: '$/cancelRequest', params: { id: 7 } });
+    resolveWork();
+    await flush();
+
+    expect(sent).toEqual([{ jsonrpc: '2.0', id: 7, error: { code: -32800, message: 'Request cancelled' } }]);
+  });
+
+  test('turns handler failures into error responses', async () => {
+    connection.on('textDocument/definition', async () => { throw new Error('boom'); });
+    connection.on('textDocument/references', async () => { throw new CancelledError(); });
+    jest.spyOn(connection.logger, 'error').mockImplementation(() => {});
+
+    connection.handleMessage({ jsonrpc: '2.0', id: 1, method: 'textDocument/definition', params: {} });
+    connection.handleMessage({ jsonrpc: '2.0', id: 2, method: 'textDocument/references', params: {} });
+    await flush();
+
+    expect(sent).toEqual([
+      { jsonrpc: '2.0', id: 1, error: { code: -32603, message: 'boom' } },
+      { jsonrpc: '2.0', id: 2, error: { code: -32800, message: 'Request cancelled' } }
+    ]);
+  });
+
+  test('answers each request only once', async () => {
+    connection.on('shutdown', (params, id) => {
+      connection.sendResponse(id, null);
+      connection.sendResponse(id, null);
+    });
+
+    connection.handleMessage({ jsonrpc: '2.0', id: 3, method: 'shutdown' });
+    await flush();
+
+    expect(sent).toEqual([{ jsonrpc: '2.0', id: 3, result: null }]);
+  });
+
+  test('answers unknown methods with MethodNotFound', () => {
+    jest.spyOn(connection.logger, 'warn').mockImplementation(() => {});
+
+    connection.handleMessage({ jsonrpc: '2.0', id: 4, method: 'textDocument/colorPresentation', params: {} });
+
+    expect(sent).toEqual([
+      { jsonrpc: '2.0', id: 4, error: { code: -32601, message: 'Unhandled method textDocument/colorPresentation' } }
+    ]);
+  });
+});
+
+describe('LSPConnection outgoing requests', () => {
+  let connection;
+  let sent;
+
+  beforeEach(() => {
+    connection = new LSPConnection();
+    sent = [];
+    connection.sendMessage = (message) => sent.push(message);
+  });
+
+  test('correlates responses with their requests by id', async () => {
+    const applied = connection.applyEdit({ changes: {} }, 'Organize imports');
+    const choice = connection.showMessageRequest(1, 'Stopped', ['Restart', 'Ignore']);
+
+    expect(sent.map(message => message.method)).toEqual(['workspace/applyEdit', 'window/showMessageRequest']);
+    expect(sent[1].params.actions).toEqual([{ title: 'Restart' }, { title: 'Ignore' }]);
+
+    connection.handleMessage({ jsonrpc: '2.0', id: sent[1].id, result: { title: 'Restart' } });
+    connection.handleMessage({ jsonrpc: '2.0', id: sent[0].id, result: { applied: true } });
+
+    await expect(choice).resolves.toBe('Restart');
+    await expect(applied).resolves.toBe(true);
+    expect(connection.pendingResponses.size).toBe(0);
+  });
+
+  test('rejects with a ResponseError when the client answers with an error', async () => {
+    const request = connection.getConfiguration([{ section: 'volt' }]);
+    connection.handleMessage({ jsonrpc: '2.0', id: sent[0].id, error: { code: -32601, message: 'Unhandled method' } });
+
+    await expect(request).rejects.toBeInstanceOf(ResponseError);
+    await expect(request).rejects.toMatchObject({ code: -32601, message: 'Unhandled method' });
+  });
+
+  test('rejects pending requests when the connection closes', async () => {
+    const request = connection.createWorkDoneProgress('volt-1');
+    connection.rejectPendingResponses(new Error('Connection closed'));
+
+    await expect(request).rejects.toThrow('Connection closed');
+  });
+});
@@ -0,0 +1,63 @@
+const { MessageReader, encodeMessage } = require('../src/message-framing');
+
+describe('MessageReader', () => {
+  let reader;
+  let messages;
+  let errors;
+
+  beforeEach(() => {
+    reader = new MessageReader();
+    messages = [];
+    errors = [];
+    reader.on('message', (message) => messages.push(message));
+    reader.on('parseError', (error) => errors.push(error));
+  });
+
+  test('counts Content-Length in bytes for non-ASCII bodies', () => {
+    const message = { jsonrpc: '2.0', method: 'textDocument/didOpen', params: { text: '// Komentar 🚀 ✨' } };
+
+    reader.push(Buffer.concat([encodeMessage(message), encodeMessage({ jsonrpc: '2.0', method: 'exit' })]));
+
+    expect(messages).toEqual([message, { jsonrpc: '2.0', method: 'exit' }]);
+  });
+
+  test('reassembles messages split at any byte, including inside a multi-byte character', () => {
+    const message = { id: 1, result: { value: 'Halo 🚀 dunia' } };
+    const bytes = encodeMessage(message);
+
+    for (let i = 0; i < bytes.length; i++) {
+      reader.push(bytes.subarray(i, i + 1));
+    }
+
+    expect(messages).toEqual([message]);
+  });
+
+  test('ignores extra headers and a body containing the header separator', () => {
+    const body = JSON.stringify({ id: 2, result: 'a\r\n\r\nb' });
+    reader.push(
+      `Content-Type: application/vscode-jsonrpc; charset=utf-8\r\ncontent-length: ${Buffer.byteLength(body)}\r\n\r\n${body}`
+    );
+
+    expect(messages).toEqual([{ id: 2, result: 'a\r\n\r\nb' }]);
+  });
+
+  test('reads tsserver output, whose bodies end with a newline', () => {
+    const event = JSON.stringify({ seq: 0, type: 'event', event: 'typingsInstallerPid' }) + '\n';
+    const response = JSON.stringify({ seq: 0, type: 'response', request_seq: 1, success: true }) + '\n';
+
+    reader.push(`Content-Length: ${Buffer.byteLength(event)}\r\n\r\n${event}`);
+    // Some versions leave the newline out of the count
+    reader.push(`Content-Length: ${Buffer.byteLength(response) - 1}\r\n\r\n${response}`);
+
+    expect(messages.map(message => message.type)).toEqual(['event', 'response']);
+  });
+
+  test('reports invalid bodies and keeps reading', () => {
+    reader.push('Content-Length: 5\r\n\r\n{oops');
+    reader.push('X-Unknown: 1\r\n\r\n');
+    reader.push(encodeMessage({ id: 3 }));
+
+    expect(errors).toHaveLength(2);
+    expect(messages).toEqual([{ id: 3 }]);
+  });
+});
@@ -0,0 +1,239 @@
+const { TextDocument } = require('../src/document-store');
+const {
+  CompletionItemKind,
+  toCompletionItem,
+  toHover,
+  toSignatureHelp,
+  toSemanticTokens,
+  SymbolKind,
+  SymbolTag,
+  toDocumentSymbols,
+  InlayHintKind,
+  toInlayHint
+} = require('../src/protocol-translation');
+
+describe('toCompletionItem', () => {
+  const location = { line: 3, offset: 7 };
+
+  test('maps kind, sort text and resolve data', () => {
+    const item = toCompletionItem(
+      { name: 'charAt', kind: 'method', kindModifiers: 'declare', sortText: '11' },
+      { isNewIdentifierLocation: false },
+      '/project/a.ts',
+      location
+    );
+
+    expect(item).toMatchObject({
+      label: 'charAt',
+      kind: CompletionItemKind.Method,
+      sortText: '11',
+      commitCharacters: ['.', ',', ';', '('],
+      data: { file: '/project/a.ts', line: 3, offset: 7, entryNames: ['charAt'] }
+    });
+  });
+
+  test('uses the replacement span as a text edit and keeps auto-import source', () => {
+    const item = toCompletionItem(
+      {
+        name: 'readFile',
+        kind: 'function',
+        sortText: '16',
+        source: 'fs',
+        replacementSpan: { start: { line: 3, offset: 1 }, end: { line: 3, offset: 5 } }
+      },
+      { isNewIdentifierLocation: true },
+      '/project/a.ts',
+      location
+    );
+
+    expect(item.commitCharacters).toBeUndefined();
+    expect(item.textEdit).toEqual({
+      range: { start: { line: 2, character: 0 }, end: { line: 2, character: 4 } },
+      newText: 'readFile'
+    });
+    expect(item.data.entryNames).toEqual([{ name: 'readFile', source: 'fs', data: undefined }]);
+  });
+
+  test('sends snippets as plain text unless the client supports them', () => {
+    const entry = { name: 'log', kind: 'method', sortText: '11', isSnippet: true, insertText: 'log(${1:message})$0' };
+
+    const plain = toCompletionItem(entry, {}, '/project/a.ts', location);
+    expect(plain.insertTextFormat).toBeUndefined();
+    expect(plain.insertText).toBe('log(message)');
+
+    const snippet = toCompletionItem(entry, {}, '/project/a.ts', location, { snippetSupport: true });
+    expect(snippet.insertTextFormat).toBe(2);
+    expect(snippet.insertText).toBe('log(${1:message})$0');
+  });
+});
+
+describe('toHover', () => {
+  test('renders signature, documentation and tags as markdown', () => {
+    const hover = toHover({
+      displayString: 'function add(a: number): number',
+      documentation: 'Adds numbers.',
+      tags: [
+        { name: 'param', text: 'a - the first operand' },
+        { name: 'returns', text: 'the sum' },
+        { name: 'deprecated', text: 'use sum()' },
+        { name: 'example', text: 'add(1)' }
+      ],
+      start: { line: 2, offset: 10 },
+      end: { line: 2, offset: 13 }
+    });
+
+    expect(hover.range).toEqual({ start: { line: 1, character: 9 }, end: { line: 1, character: 12 } });
+    expect(hover.contents.value).toBe([
+      '```typescript\nfunction add(a: number): number\n```',
+      '---',
+      'Adds numbers.',
+      '*@param* `a` — the first operand',
+      '*@returns* — the sum',
+      '**@deprecated** — use sum()',
+      '*@example*\n```typescript\nadd(1)\n```'
+    ].join('\n\n'));
+  });
+
+  test('returns null for empty quickinfo', () => {
+    expect(toHover(undefined)).toBeNull();
+    expect(toHover({ displayString: '', documentation: '' })).toBeNull();
+  });
+});
+
+describe('toSignatureHelp', () => {
+  const text = (t) => [{ text: t, kind: 'text' }];
+
+  test('builds the label with parameter offsets and clamps variadic parameters', () => {
+    const help = toSignatureHelp({
+      items: [{
+        isVariadic: true,
+        prefixDisplayParts: text('log('),
+        suffixDisplayParts: text('): void'),
+        separatorDisplayParts: text(', '),
+        parameters: [
+          { name: 'level', displayParts: text('level: string'), documentation: text('Log level') },
+          { name: 'args', displayParts: text('...args: any[]'), documentation: [] }
+        ],
+        documentation: [],
+        tags: []
+      }],
+      selectedItemIndex: 0,
+      argumentIndex: 3
+    });
+
+    expect(help.activeSignature).toBe(0);
+    expect(help.activeParameter).toBe(1);
+    expect(help.signatures[0].label).toBe('log(level: string, ...args: any[]): void');
+    expect(help.signatures[0].parameters).toEqual([
+      { label: [4, 17], documentation: { kind: 'markdown', value: 'Log level' } },
+      { label: [19, 33] }
+    ]);
+  });
+
+  test('returns null when there are no signatures', () => {
+    expect(toSignatureHelp(undefined)).toBeNull();
+    expect(toSignatureHelp({ items: [] })).toBeNull();
+  });
+});
+
+describe('toSemanticTokens', () => {
+  test('delta-encodes 2020 classifications and splits multi-line tokens', () => {
+    const document = new TextDocument('file:///a.ts', 'class Foo {}\nconst x = `a\nb`;\n');
+    const classify = (type, modifiers) => ((type + 1) << 8) + modifiers;
+    const tokens = toSemanticTokens([
+      6, 3, classify(0, 1), // Foo: class, declaration
+      19, 3, classify(7, 8), // x: variable, readonly
+      23, 5, classify(7, 0) // fake token spanning the template literal break
+    ], document);
+
+    expect(tokens.data).toEqual([
+      0, 6, 3, 0, 1,
+      1, 6, 3, 7, 8,
+      0, 4, 2, 7, 0,
+      1, 0, 2, 7, 0
+    ]);
+  });
+});
+
+describe('toDocumentSymbols', () => {
+  const span = (line, offset, endLine, endOffset) => ({ start: { line, offset }, end: { line: endLine, offset: endOffset } });
+
+  test('nests children inside the span that contains them', () => {
+    const [shape] = toDocumentSymbols({
+      text: 'Shape',
+      kind: 'class',
+      spans: [span(1, 1, 10, 2)],
+      nameSpan: span(1, 7, 1, 12),
+      childItems: [
+        { text: 'area', kind: 'method', kindModifiers: 'deprecated', spans: [span(2, 5, 4, 6)], nameSpan: span(2, 5, 2, 9) },
+        {
+          text: 'constructor',
+          kind: 'constructor',
+          spans: [span(5, 5, 9, 6)],
+          childItems: [
+            { text: 'size', kind: 'const', spans: [span(6, 9, 6, 22)], nameSpan: span(6, 15, 6, 19) },
+            { text: '<function>', kind: 'function', spans: [span(7, 9, 8, 10)] }
+          ]
+        },
+        { text: 'fs', kind: 'alias', spans: [span(11, 1, 11, 20)] }
+      ]
+    });
+
+    expect(shape).toMatchObject({
+      name: 'Shape',
+      kind: SymbolKind.Class,
+      range: { start: { line: 0, character: 0 }, end: { line: 9, character: 1 } },
+      selectionRange: { start: { line: 0, character: 6 }, end: { line: 0, character: 11 } }
+    });
+    expect(shape.children.map(child => child.name)).toEqual(['area', 'constructor']);
+    expect(shape.children[0].tags).toEqual([SymbolTag.Deprecated]);
+    // Anonymous functions are dropped; without a nameSpan the selection is the start
+    const [constructor] = shape.children.slice(1);
+    expect(constructor.children.map(child => child.name)).toEqual(['size']);
+    expect(constructor.selectionRange).toEqual({ start: { line: 4, character: 4 }, end: { line: 4, character: 4 } });
+  });
+
+  test('gives merged declarations one symbol per span with its own children', () => {
+    const symbols = toDocumentSymbols({
+      text: 'Config',
+      kind: 'interface',
+      spans: [span(1, 1, 3, 2), span(5, 1, 7, 2)],
+      nameSpan: span(1, 11, 1, 17),
+      childItems: [
+        { text: 'a', kind: 'property', spans: [span(2, 3, 2, 13)] },
+        { text: 'b', kind: 'property', spans: [span(6, 3, 6, 13)] }
+      ]
+    });
+
+    expect(symbols.map(symbol => symbol.children.map(child => child.name))).toEqual([['a'], ['b']]);
+    // The shared nameSpan lies outside the second declaration
+    expect(symbols[1].selectionRange).toEqual({ start: { line: 4, character: 0 }, end: { line: 4, character: 0 } });
+  });
+});
+
+describe('toInlayHint', () => {
+  test('maps positions, kinds and padding', () => {
+    expect(toInlayHint({ text: 'count:', position: { line: 4, offset: 12 }, kind: 'Parameter', whitespaceAfter: true })).toEqual({
+      position: { line: 3, character: 11 },
+      label: 'count:',
+      kind: InlayHintKind.Parameter,
+      paddingLeft: undefined,
+      paddingRight: true
+    });
+    expect(toInlayHint({ text: ': number', position: { line: 1, offset: 8 }, kind: 'Type' })).toMatchObject({
+      position: { line: 0, character: 7 },
+      kind: InlayHintKind.Type
+    });
+  });
+
+  test('joins display parts and leaves enum values without a kind', () => {
+    const hint = toInlayHint({
+      displayParts: [{ text: '= ' }, { text: '2' }],
+      text: '',
+      position: { line: 2, offset: 6 },
+      kind: 'Enum',
+      whitespaceBefore: true
+    });
+    expect(hint).toMatchObject({ label: '= 2', kind: undefined, paddingLeft: true });
+  });
+});
@@ -0,0 +1,59 @@
+const EventEmitter = require('events');
+const TaskProgressReporter = require('../src/task-progress');
+const { parseProgress } = require('../src/task-progress');
+const VoltLSP = require('../index');
+
+// node-fetch is ESM-only; nothing here fetches
+jest.mock('node-fetch', () => jest.fn());
+
+describe('parseProgress', () => {
+  test('reads percentages, Jest totals and step counters', () => {
+    expect(parseProgress('\x1b[32mtransforming (42%)\x1b[0m')).toEqual({ message: 'transforming (42%)', percentage: 42 });
+    expect(parseProgress('Test Suites: 1 failed, 2 passed, 3 of 12 total').percentage).toBe(25);
+    expect(parseProgress('[3/4] Linking dependencies...').percentage).toBe(75);
+    expect(parseProgress('src/2/4/index.ts compiled')).toEqual({ message: 'src/2/4/index.ts compiled' });
+    expect(parseProgress('   ')).toBeNull();
+  });
+});
+
+describe('TaskProgressReporter', () => {
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('reports task progress and kills the task when the client cancels', async () => {
+    const sent = [];
+    const connection = {
+      createWorkDoneProgress: jest.fn(() => Promise.resolve(null)),
+      sendNotification: (method, params) => sent.push({ method, params })
+    };
+    const taskRunner = new EventEmitter();
+    taskRunner.killTask = jest.fn();
+    const reporter = new TaskProgressReporter(connection);
+    reporter.updateOptions({ progressSupported: true, taskOutput: 'notification' });
+    reporter.attach(taskRunner);
+
+    taskRunner.emit('taskStarted', { taskId: 'build-1', label: 'build', command: 'tsc' });
+    await flush();
+    taskRunner.emit('output', { taskId: 'build-1', stream: 'stdout', lines: ['[1/2] compiling'] });
+    await flush();
+    reporter.handleCancel({ token: connection.createWorkDoneProgress.mock.calls[0][0] });
+    taskRunner.emit('taskEnded', { taskId: 'build-1', code: null, signal: 'SIGTERM', cancelled: true, success: false });
+    await flush();
+
+    expect(taskRunner.killTask).toHaveBeenCalledWith('build-1');
+    expect(sent.map(({ method, params }) => (method === '$/progress' ? params.value : method))).toEqual([
+      { kind: 'begin', title: 'Volt: build', message: 'tsc', percentage: 0, cancellable: true },
+      'volt/taskOutput',
+      { kind: 'report', message: '[1/2] compiling', percentage: 50 },
+      { kind: 'end', message: 'Cancelled' }
+    ]);
+  });
+});
+
+describe('VoltLSP work done progress', () => {
+  test('ignores cancellations that arrive before initialize', () => {
+    const connection = new EventEmitter();
+    const server = new VoltLSP(connection);
+    server.setupConnectionHandlers();
+    expect(() => connection.emit('window/workDoneProgress/cancel', { token: 'volt-task-1' })).not.toThrow();
+  });
+});
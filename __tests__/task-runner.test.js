@@ -0,0 +1,290 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const TaskRunner = require('../src/task-runner');
+const { isWatchCommand } = require('../src/task-runner');
+const DiagnosticStore = require('../src/diagnostic-store');
+const TaskDiagnostics = require('../src/task-diagnostics');
+const WorkspaceFolders = require('../src/workspace-folders');
+const VoltLSP = require('../index');
+
+// node-fetch is ESM-only; nothing here fetches
+jest.mock('node-fetch', () => jest.fn());
+
+let rootPath;
+let termuxAPI;
+
+const writeScripts = (scripts) => fs.writeFileSync(path.join(rootPath, 'package.json'), JSON.stringify({ scripts }));
+
+beforeEach(() => {
+  rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'volt-task-runner-'));
+  writeScripts({ test: 'jest' });
+  termuxAPI = { notifySuccess: jest.fn(), notifyError: jest.fn() };
+});
+
+afterEach(() => fs.rmSync(rootPath, { recursive: true, force: true }));
+
+describe('TaskRunner jest runs', () => {
+  // Stands in for a Jest process that writes `report` and exits with code 1
+  const failingJest = (report) => async (script, args, taskId, options) => {
+    const outputFile = args.find(arg => arg.startsWith('--outputFile=')).slice('--outputFile='.length).replace(/"/g, '');
+    fs.writeFileSync(outputFile, JSON.stringify(report));
+    options.onExit(taskId, false);
+    throw Object.assign(new Error('Process exited with code 1'), { code: 1 });
+  };
+
+  test('resolves failing tests with their summary and notifies it once', async () => {
+    const runner = new TaskRunner(rootPath, termuxAPI);
+    runner.executeScript = jest.fn(failingJest({
+      success: false,
+      numPassedTests: 1,
+      numFailedTests: 1,
+      numTotalTests: 2,
+      numFailedTestSuites: 1,
+      numTotalTestSuites: 1,
+      testResults: []
+    }));
+
+    const summary = await runner.runTest();
+
+    expect(summary).toMatchObject({ success: false, passed: 1, failed: 1, total: 2 });
+    expect(termuxAPI.notifyError).toHaveBeenCalledTimes(1);
+    expect(termuxAPI.notifyError.mock.calls[0][0]).toBe('Tests Failed');
+  });
+
+  test('still fails when Jest left no report', async () => {
+    const runner = new TaskRunner(rootPath, termuxAPI);
+    runner.executeScript = jest.fn(async () => {
+      throw new Error('Process exited with code 1');
+    });
+
+    await expect(runner.runTest()).rejects.toThrow('Process exited with code 1');
+    expect(termuxAPI.notifyError.mock.calls.map(call => call[0])).toEqual(['Task Failed']);
+  });
+});
+
+describe('isWatchCommand', () => {
+  test('recognizes watch flags and watchers', () => {
+    expect(isWatchCommand('tsc --watch')).toBe(true);
+    expect(isWatchCommand('jest --watchAll')).toBe(true);
+    expect(isWatchCommand('jest --watch=true')).toBe(true);
+    expect(isWatchCommand('nodemon src/server.js')).toBe(true);
+    expect(isWatchCommand('tsc -w')).toBe(true);
+    expect(isWatchCommand('webpack --mode development -w')).toBe(true);
+    expect(isWatchCommand('tsc')).toBe(false);
+  });
+
+  test('leaves -w alone for tools where it means something else', () => {
+    expect(isWatchCommand('npm run build -w packages/app')).toBe(false);
+    expect(isWatchCommand('npm run build -w packages/app && tsc')).toBe(false);
+    expect(isWatchCommand('jest -w 2')).toBe(false);
+  });
+});
+
+describe('TaskRunner watch tasks', () => {
+  let runner;
+
+  beforeEach(() => {
+    runner = new TaskRunner(rootPath, termuxAPI);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    return runner.killAllTasks();
+  });
+
+  // Resolves with the next `event` emitted for `taskId`
+  const nextEvent = (event, taskId) => new Promise(resolve => {
+    const listener = (payload) => {
+      if (taskId && payload.taskId !== taskId) return;
+      runner.off(event, listener);
+      resolve(payload);
+    };
+    runner.on(event, listener);
+  });
+
+  test('splits output into cycles at the end-of-cycle line', async () => {
+    const events = [];
+    runner.on('diagnostic', ({ uri }) => events.push(path.basename(uri)));
+    runner.on('taskCycle', ({ message }) => events.push(message));
+
+    await runner.executeScript(
+      "printf 'a.ts(1,1): error TS1005: one\\nFound 1 error. Watching for file changes.\\nb.ts(2,2): error TS1005: two\\n'",
+      [], 'tsc-1', { watch: true }
+    );
+
+    expect(events).toEqual(['a.ts', 'Found 1 error. Watching for file changes.', 'b.ts']);
+  });
+
+  test('starts a watcher in the background and reports it if it stops', async () => {
+    writeScripts({ dev: 'tsc --watch' });
+    runner.loadPackageJson();
+    let stop;
+    runner.executeScript = jest.fn(() => new Promise((resolve, reject) => { stop = reject; }));
+
+    const result = await runner.runScript('dev');
+
+    expect(result).toEqual({ taskId: expect.stringMatching(/^dev-/), watch: true });
+    expect(runner.executeScript.mock.calls[0][3]).toMatchObject({ label: 'dev', watch: true });
+    expect(termuxAPI.notifySuccess).toHaveBeenCalledWith('Task Started', 'Watching with dev...', 'taskStarted');
+
+    stop(new Error('Process exited with code 2'));
+    await new Promise(resolve => setImmediate(resolve));
+    expect(termuxAPI.notifyError).toHaveBeenCalledWith('Task Failed', 'dev stopped: Process exited with code 2', 'taskFailed');
+  });
+
+  test('does not report a watcher that was killed', async () => {
+    writeScripts({ dev: 'tsc --watch' });
+    runner.loadPackageJson();
+    runner.executeScript = jest.fn(() => Promise.reject(Object.assign(new Error('Task cancelled'), { cancelled: true })));
+
+    await runner.runScript('dev');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(termuxAPI.notifyError).not.toHaveBeenCalled();
+  });
+
+  test('restarts a task the way it was started', async () => {
+    writeScripts({ dev: 'sleep 30' });
+    runner.loadPackageJson();
+    const { taskId } = await runner.runScript('dev', [], { watch: true });
+    // Task ids carry the start time
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const ended = nextEvent('taskEnded', taskId);
+
+    await runner.restartTask(taskId);
+
+    expect(await ended).toMatchObject({ cancelled: true });
+    const [restarted] = runner.getRunningTasks();
+    expect(restarted).not.toBe(taskId);
+    expect(runner.getTaskInfo(restarted)).toMatchObject({ label: 'dev', command: 'sleep 30', watch: true });
+  });
+
+  test('does not restart a task that is not running', async () => {
+    expect(await runner.restartTask('dev-1')).toBeNull();
+  });
+
+  test('reconciles each jest --watch cycle only for the test files it ran', async () => {
+    writeScripts({ test: 'jest --watch' });
+    runner.loadPackageJson();
+    const store = new DiagnosticStore();
+    new TaskDiagnostics(store).attach(runner);
+
+    let outputFile;
+    let onReportChanged;
+    jest.spyOn(fs, 'watchFile').mockImplementation((file, options, listener) => { onReportChanged = listener; });
+    runner.executeScript = jest.fn((script, args, taskId, options) => {
+      outputFile = args.find(arg => arg.startsWith('--outputFile=')).slice('--outputFile='.length).replace(/"/g, '');
+      runner.emit('taskStarted', { taskId, label: options.label });
+      options.onStart(taskId);
+      return new Promise(() => { /* watches until killed */ });
+    });
+
+    const a = path.join(rootPath, 'a.test.js');
+    const b = path.join(rootPath, 'b.test.js');
+    const suite = (name, status) => ({
+      name,
+      assertionResults: [{
+        title: 'works',
+        fullName: `${path.basename(name)} works`,
+        status,
+        location: { line: 1, column: 1 },
+        failureMessages: status === 'failed' ? ['Error: broken'] : []
+      }]
+    });
+    let mtimeMs = 0;
+    const cycle = (...testResults) => {
+      fs.writeFileSync(outputFile, JSON.stringify({ numTotalTests: testResults.length, testResults }));
+      onReportChanged({ mtimeMs: ++mtimeMs }, { mtimeMs: mtimeMs - 1 });
+    };
+
+    await runner.runTest();
+    cycle(suite(a, 'failed'), suite(b, 'failed'));
+    // Only a.test.js changed, and it passes now
+    cycle(suite(a, 'passed'));
+
+    expect(store.getSource(pathToFileURL(a).href, 'jest')).toEqual([]);
+    expect(store.getSource(pathToFileURL(b).href, 'jest').map(d => d.data.test)).toEqual(['b.test.js works']);
+  });
+});
+
+describe('VoltLSP task commands', () => {
+  let server;
+  let connection;
+  let folders;
+
+  const fakeTaskRunner = (tasks) => ({
+    getRunningTasks: () => tasks.map(task => task.taskId),
+    getTaskInfo: (taskId) => tasks.find(task => task.taskId === taskId),
+    killTask: jest.fn(),
+    restartTask: jest.fn()
+  });
+
+  beforeEach(() => {
+    connection = { sendResponse: jest.fn(), sendError: jest.fn(), showMessageRequest: jest.fn() };
+    server = new VoltLSP(connection);
+    const tasks = {
+      '/app': [{ taskId: 'dev-1', label: 'dev', command: 'tsc --watch', watch: true }],
+      '/lib': [{ taskId: 'test-2', label: 'test', command: 'jest', watch: false }]
+    };
+    server.workspaceFolders = new WorkspaceFolders((folderPath) => ({ taskRunner: fakeTaskRunner(tasks[folderPath]) }));
+    folders = ['/app', '/lib'].map(folderPath => server.workspaceFolders.add({ uri: pathToFileURL(folderPath).href }));
+  });
+
+  const execute = (command, args) => server.handleExecuteCommand({ command, arguments: args }, 1);
+
+  test('lists the running tasks of every folder', async () => {
+    await execute('volt-lsp:listTasks');
+
+    expect(connection.sendResponse).toHaveBeenCalledWith(1, [
+      { taskId: 'dev-1', label: 'dev', command: 'tsc --watch', watch: true, folder: 'file:///app' },
+      { taskId: 'test-2', label: 'test', command: 'jest', watch: false, folder: 'file:///lib' }
+    ]);
+  });
+
+  test('kills the given task in the folder running it', async () => {
+    await execute('volt-lsp:killTask', ['test-2']);
+
+    expect(folders[1].taskRunner.killTask).toHaveBeenCalledWith('test-2');
+    expect(folders[0].taskRunner.killTask).not.toHaveBeenCalled();
+    expect(connection.sendResponse).toHaveBeenCalledWith(1, null);
+  });
+
+  test('fails for a task that is not running', async () => {
+    await execute('volt-lsp:killTask', ['build-3']);
+
+    expect(connection.sendError).toHaveBeenCalledWith(1, -32000, 'Task build-3 is not running');
+  });
+
+  test('lets the user pick the task to restart', async () => {
+    connection.showMessageRequest.mockResolvedValue('dev (dev-1)');
+
+    await execute('volt-lsp:restartTask');
+
+    expect(connection.showMessageRequest).toHaveBeenCalledWith(3, 'Restart which task?', ['dev (dev-1)', 'test (test-2)']);
+    expect(folders[0].taskRunner.restartTask).toHaveBeenCalledWith('dev-1');
+  });
+
+  test('does nothing when the user dismisses the pick', async () => {
+    connection.showMessageRequest.mockResolvedValue(null);
+
+    await execute('volt-lsp:killTask');
+
+    folders.forEach(folder => expect(folder.taskRunner.killTask).not.toHaveBeenCalled());
+    expect(connection.sendResponse).toHaveBeenCalledWith(1, null);
+  });
+
+  test('picks the only running task without asking', async () => {
+    server.workspaceFolders.remove(folders[1].uri);
+
+    expect(await server.pickTask(undefined, 'Kill')).toMatchObject({ taskId: 'dev-1' });
+    expect(connection.showMessageRequest).not.toHaveBeenCalled();
+  });
+
+  test('fails when no tasks are running', async () => {
+    folders.forEach(folder => server.workspaceFolders.remove(folder.uri));
+
+    await expect(server.pickTask(undefined, 'Kill')).rejects.toThrow('No tasks are running');
+  });
+});
@@ -0,0 +1,19 @@
+const { parseTransportArgs } = require('../src/transports');
+
+describe('parseTransportArgs', () => {
+  test('defaults to stdio', () => {
+    expect(parseTransportArgs([])).toMatchObject({ type: 'stdio' });
+    expect(parseTransportArgs(['--stdio'])).toMatchObject({ type: 'stdio' });
+  });
+
+  test('reads socket, pipe and node-ipc flags in both value styles', () => {
+    expect(parseTransportArgs(['--socket=5007'])).toEqual({ type: 'socket', port: 5007, host: '127.0.0.1' });
+    expect(parseTransportArgs(['--socket', '5007', '--host=0.0.0.0'])).toEqual({ type: 'socket', port: 5007, host: '0.0.0.0' });
+    expect(parseTransportArgs(['--pipe=/tmp/volt.sock'])).toMatchObject({ type: 'pipe', path: '/tmp/volt.sock' });
+    expect(parseTransportArgs(['--node-ipc'])).toMatchObject({ type: 'node-ipc' });
+  });
+
+  test('rejects an invalid port', () => {
+    expect(() => parseTransportArgs(['--socket=abc'])).toThrow('Invalid port for --socket');
+  });
+});
@@ -0,0 +1,368 @@
+const EventEmitter = require('events');
+const { PassThrough } = require('stream');
+
+jest.mock('child_process', () => ({ ...jest.requireActual('child_process'), spawn: jest.fn() }));
+const { spawn } = require('child_process');
+const TSServerProxy = require('../src/tsserver-proxy');
+const { CancellationToken } = require('../src/cancellation');
+
+// A proxy whose tsserver answers from `responses` (command -> body or function)
+const stubProxy = (responses) => {
+  const proxy = new TSServerProxy('/project');
+  proxy.requests = [];
+  proxy.sendRequest = jest.fn(async (command, args) => {
+    proxy.requests.push({ command, args });
+    const response = responses[command];
+    return typeof response === 'function' ? response(args) : response;
+  });
+  return proxy;
+};
+
+const span = (line, offset, endOffset) => ({ start: { line, offset }, end: { line, offset: endOffset } });
+
+describe('references and rename', () => {
+  test('leaves out declarations when the client asks to', async () => {
+    const proxy = stubProxy({
+      references: {
+        refs: [
+          { file: '/project/a.ts', ...span(1, 14, 17), isDefinition: true },
+          { file: '/project/b.ts', ...span(3, 1, 4), isDefinition: false },
+          // Newer tsservers: no isDefinition, but declarations have a context span
+          { file: '/project/c.ts', ...span(2, 7, 10), contextStart: { line: 2, offset: 1 } }
+        ]
+      }
+    });
+
+    const all = await proxy.getReferences('file:///project/a.ts', { line: 0, character: 14 }, { includeDeclaration: true });
+    expect(all.map(ref => ref.uri)).toEqual(['file:///project/a.ts', 'file:///project/b.ts', 'file:///project/c.ts']);
+    expect(proxy.requests[0].args).toEqual({ file: '/project/a.ts', line: 1, offset: 15 });
+
+    const usages = await proxy.getReferences('file:///project/a.ts', { line: 0, character: 14 }, { includeDeclaration: false });
+    expect(usages).toEqual([{ uri: 'file:///project/b.ts', range: { start: { line: 2, character: 0 }, end: { line: 2, character: 3 } } }]);
+  });
+
+  test('renames with prefix and suffix text across files', async () => {
+    const proxy = stubProxy({
+      rename: {
+        info: { canRename: true, displayName: 'foo', triggerSpan: span(1, 14, 17) },
+        locs: [
+          { file: '/project/a.ts', locs: [span(1, 14, 17)] },
+          { file: '/project/b.ts', locs: [{ ...span(2, 10, 13), prefixText: 'foo: ' }] }
+        ]
+      }
+    });
+
+    expect(await proxy.prepareRename('file:///project/a.ts', { line: 0, character: 14 })).toEqual({
+      range: { start: { line: 0, character: 13 }, end: { line: 0, character: 16 } },
+      placeholder: 'foo'
+    });
+    const edit = await proxy.rename('file:///project/a.ts', { line: 0, character: 14 }, 'bar');
+    expect(edit.changes['file:///project/a.ts'][0].newText).toBe('bar');
+    expect(edit.changes['file:///project/b.ts'][0].newText).toBe('foo: bar');
+  });
+
+  test('refuses to rename what tsserver cannot rename', async () => {
+    const proxy = stubProxy({
+      rename: { info: { canRename: false, localizedErrorMessage: 'You cannot rename elements that are defined in the standard TypeScript library.' } }
+    });
+    await expect(proxy.prepareRename('file:///project/a.ts', { line: 0, character: 0 }))
+      .rejects.toThrow('defined in the standard TypeScript library');
+  });
+});
+
+describe('formatting', () => {
+  const options = { tabSize: 2, insertSpaces: true };
+
+  test('configures each file once per set of options and maps the edits', async () => {
+    const proxy = stubProxy({
+      configure: undefined,
+      format: [{ ...span(2, 1, 5), newText: '  ' }],
+      formatonkey: [{ ...span(3, 10, 10), newText: ';' }]
+    });
+
+    const edits = await proxy.formatRange('file:///project/a.ts', { start: { line: 1, character: 0 }, end: { line: 4, character: 0 } }, options);
+    expect(edits).toEqual([{ range: { start: { line: 1, character: 0 }, end: { line: 1, character: 4 } }, newText: '  ' }]);
+    await proxy.formatOnKey('file:///project/a.ts', { line: 2, character: 9 }, ';', options);
+    await proxy.formatRange('file:///project/a.ts', { start: { line: 0, character: 0 }, end: { line: 1, character: 0 } }, { ...options, tabSize: 4 });
+
+    expect(proxy.requests.map(request => request.command)).toEqual(['configure', 'format', 'formatonkey', 'configure', 'format']);
+    expect(proxy.requests[0].args.formatOptions).toMatchObject({ tabSize: 2, indentSize: 2, convertTabsToSpaces: true });
+    expect(proxy.requests[1].args).toEqual({ file: '/project/a.ts', line: 2, offset: 1, endLine: 5, endOffset: 1 });
+    expect(proxy.requests[2].args).toEqual({ file: '/project/a.ts', line: 3, offset: 10, key: ';' });
+  });
+
+  test('passes the request cancellation token on to tsserver', async () => {
+    const proxy = stubProxy({ configure: undefined, format: [], formatonkey: [] });
+    const token = new CancellationToken();
+
+    await proxy.formatRange('file:///project/a.ts', { start: { line: 0, character: 0 }, end: { line: 1, character: 0 } }, options, token);
+    await proxy.formatOnKey('file:///project/a.ts', { line: 0, character: 1 }, ';', options, token);
+
+    const tokens = proxy.sendRequest.mock.calls.map(([command, , requestToken]) => [command, requestToken]);
+    expect(tokens).toEqual([['configure', undefined], ['format', token], ['formatonkey', token]]);
+  });
+});
+
+describe('implementations and call hierarchy', () => {
+  const lspRange = (line, character, endCharacter) => ({ start: { line, character }, end: { line, character: endCharacter } });
+  const item = (name, file, line) => ({
+    name,
+    kind: 'function',
+    kindModifiers: '',
+    file,
+    span: { start: { line, offset: 1 }, end: { line: line + 2, offset: 2 } },
+    selectionSpan: span(line, 10, 10 + name.length)
+  });
+
+  test('maps implementation and type definition spans to locations', async () => {
+    const proxy = stubProxy({
+      implementation: [{ file: '/project/impl.ts', ...span(4, 3, 8) }],
+      typeDefinition: [{ file: '/project/types.ts', ...span(1, 18, 23) }]
+    });
+
+    expect(await proxy.getImplementation('file:///project/a.ts', { line: 0, character: 5 }))
+      .toEqual([{ uri: 'file:///project/impl.ts', range: lspRange(3, 2, 7) }]);
+    expect(await proxy.getTypeDefinition('file:///project/a.ts', { line: 0, character: 5 }))
+      .toEqual([{ uri: 'file:///project/types.ts', range: lspRange(0, 17, 22) }]);
+    expect(proxy.requests.map(request => request.args)).toEqual([
+      { file: '/project/a.ts', line: 1, offset: 6 },
+      { file: '/project/a.ts', line: 1, offset: 6 }
+    ]);
+  });
+
+  test('prepares items from a single item or a list', async () => {
+    const single = stubProxy({ prepareCallHierarchy: { ...item('main', '/project/a.ts', 1), containerName: 'app', kindModifiers: 'deprecated' } });
+    expect(await single.prepareCallHierarchy('file:///project/a.ts', { line: 0, character: 10 })).toEqual([{
+      name: 'main',
+      kind: 12,
+      detail: 'app',
+      uri: 'file:///project/a.ts',
+      range: { start: { line: 0, character: 0 }, end: { line: 2, character: 1 } },
+      selectionRange: lspRange(0, 9, 13),
+      tags: [1]
+    }]);
+
+    const list = stubProxy({ prepareCallHierarchy: [item('a', '/project/a.ts', 1), item('b', '/project/b.ts', 5)] });
+    const items = await list.prepareCallHierarchy('file:///project/a.ts', { line: 0, character: 10 });
+    expect(items.map(entry => [entry.name, entry.uri, entry.detail])).toEqual([
+      ['a', 'file:///project/a.ts', undefined],
+      ['b', 'file:///project/b.ts', undefined]
+    ]);
+  });
+
+  test('maps call sites to fromRanges in both directions', async () => {
+    const proxy = stubProxy({
+      provideCallHierarchyIncomingCalls: [{ from: item('caller', '/project/b.ts', 3), fromSpans: [span(4, 5, 9), span(6, 5, 9)] }],
+      provideCallHierarchyOutgoingCalls: [{ to: item('callee', '/project/c.ts', 8), fromSpans: [span(2, 3, 9)] }]
+    });
+    const [main] = await stubProxy({ prepareCallHierarchy: item('main', '/project/a.ts', 1) })
+      .prepareCallHierarchy('file:///project/a.ts', { line: 0, character: 10 });
+
+    const incoming = await proxy.getIncomingCalls(main);
+    expect(incoming).toEqual([{
+      from: expect.objectContaining({ name: 'caller', uri: 'file:///project/b.ts' }),
+      fromRanges: [lspRange(3, 4, 8), lspRange(5, 4, 8)]
+    }]);
+    const outgoing = await proxy.getOutgoingCalls(main);
+    expect(outgoing).toEqual([{
+      to: expect.objectContaining({ name: 'callee', uri: 'file:///project/c.ts' }),
+      fromRanges: [lspRange(1, 2, 8)]
+    }]);
+    // Both are asked about the selection start of the item
+    expect(proxy.requests.map(request => request.args)).toEqual([
+      { file: '/project/a.ts', line: 1, offset: 10 },
+      { file: '/project/a.ts', line: 1, offset: 10 }
+    ]);
+  });
+});
+
+describe('code actions', () => {
+  const newFileEdits = [
+    { fileName: '/project/a.ts', textChanges: [{ ...span(1, 1, 10), newText: '' }] },
+    { fileName: '/project/foo.ts', isNewFile: true, textChanges: [{ ...span(1, 1, 1), newText: 'export const foo = 1;\n' }] }
+  ];
+
+  test('creates new files only for clients that support it', () => {
+    const proxy = stubProxy({});
+    expect(proxy.toWorkspaceEdit(newFileEdits)).toEqual({
+      changes: {
+        'file:///project/a.ts': [{ range: { start: { line: 0, character: 0 }, end: { line: 0, character: 9 } }, newText: '' }],
+        'file:///project/foo.ts': [{ range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } }, newText: 'export const foo = 1;\n' }]
+      }
+    });
+
+    proxy.setClientCapabilities({ workspace: { workspaceEdit: { documentChanges: true, resourceOperations: ['create'] } } });
+    const edit = proxy.toWorkspaceEdit(newFileEdits);
+    expect(edit.documentChanges.map(change => change.kind || change.textDocument.uri))
+      .toEqual(['file:///project/a.ts', 'create', 'file:///project/foo.ts']);
+  });
+
+  test('leaves out refactors that create files when the client cannot', async () => {
+    const refactors = [
+      { name: 'Move to a new file', actions: [{ name: 'Move to a new file', description: 'Move to a new file', kind: 'refactor.move.newFile' }] },
+      { name: 'Extract Symbol', actions: [{ name: 'function_scope_0', description: 'Extract to function', kind: 'refactor.extract.function' }] }
+    ];
+    const range = { start: { line: 0, character: 0 }, end: { line: 0, character: 9 } };
+    const proxy = stubProxy({ getApplicableRefactors: refactors });
+
+    const titles = async () => (await proxy.getRefactorActions('file:///project/a.ts', range)).map(action => action.title);
+    expect(await titles()).toEqual(['Extract to function']);
+    proxy.setClientCapabilities({ workspace: { workspaceEdit: { resourceOperations: ['create', 'rename'] } } });
+    expect(await titles()).toEqual(['Move to a new file', 'Extract to function']);
+  });
+
+  test('resolves refactors through getEditsForRefactor', async () => {
+    const proxy = stubProxy({
+      getEditsForRefactor: { edits: [{ fileName: '/project/a.ts', textChanges: [{ ...span(2, 1, 1), newText: 'function f() {}\n' }] }] }
+    });
+    const range = { start: { line: 1, character: 0 }, end: { line: 1, character: 5 } };
+    const action = await proxy.resolveCodeAction({
+      title: 'Extract to function',
+      data: { type: 'refactor', uri: 'file:///project/a.ts', range, refactor: 'Extract Symbol', action: 'function_scope_0' }
+    });
+
+    expect(proxy.requests[0].args).toEqual({
+      file: '/project/a.ts', startLine: 2, startOffset: 1, endLine: 2, endOffset: 6,
+      refactor: 'Extract Symbol', action: 'function_scope_0'
+    });
+    expect(action.edit.changes['file:///project/a.ts'][0].newText).toBe('function f() {}\n');
+  });
+
+  test('fixes all auto-fixable problems, combining repeated ones', async () => {
+    const change = (newText) => [{ fileName: '/project/a.ts', textChanges: [{ ...span(1, 1, 1), newText }] }];
+    const proxy = stubProxy({
+      semanticDiagnosticsSync: [
+        { ...span(3, 1, 5), code: 7028 },
+        { ...span(5, 1, 5), code: 7027 },
+        { ...span(7, 1, 5), code: 2304 }
+      ],
+      getCodeFixes: ({ errorCodes: [code] }) => ({
+        7028: [{ fixName: 'fixUnusedLabel', fixId: 'fixUnusedLabel', changes: change('unused label') }],
+        7027: [{ fixName: 'fixUnreachableCode', changes: change('unreachable') }],
+        2304: [{ fixName: 'import', fixId: 'fixMissingImport', changes: change('import') }]
+      })[code],
+      getCombinedCodeFix: ({ fixId }) => ({ changes: change(`combined ${fixId}`) })
+    });
+
+    const action = await proxy.resolveCodeAction({ title: 'Fix all', data: { type: 'fixAll', uri: 'file:///project/a.ts' } });
+    expect(action.edit.changes['file:///project/a.ts'].map(edit => edit.newText)).toEqual(['unreachable', 'combined fixUnusedLabel']);
+    expect(proxy.requests.filter(request => request.command === 'getCombinedCodeFix').map(request => request.args.fixId))
+      .toEqual(['fixUnusedLabel']);
+  });
+});
+
+describe('file URIs', () => {
+  test('percent-encodes paths in diagnostics and decodes them in requests', async () => {
+    const proxy = stubProxy({ geterr: undefined });
+    const published = [];
+    proxy.on('diagnostics', (uri, diagnostics, kind) => published.push({ uri, kind }));
+
+    await proxy.requestDiagnostics(['file:///project/my%20app/a%23b.ts']);
+    expect(proxy.requests[0].args.files).toEqual(['/project/my app/a#b.ts']);
+
+    proxy.handleTSServerMessage({ type: 'event', event: 'semanticDiag', body: { file: '/project/my app/a#b.ts', diagnostics: [] } });
+    expect(published).toEqual([{ uri: 'file:///project/my%20app/a%23b.ts', kind: 'semantic' }]);
+  });
+});
+
+describe('crash recovery', () => {
+  let children;
+  let proxy;
+  let events;
+
+  const fakeProcess = () => {
+    const child = new EventEmitter();
+    child.stdin = new PassThrough();
+    child.stdout = new PassThrough();
+    child.stderr = new PassThrough();
+    child.kill = jest.fn();
+    children.push(child);
+    return child;
+  };
+  const crash = () => children[children.length - 1].emit('exit', 1, null);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    children = [];
+    spawn.mockReset().mockImplementation(fakeProcess);
+    proxy = new TSServerProxy('/project');
+    proxy.findTSServer = () => '/project/node_modules/typescript/lib/tsserver.js';
+    proxy.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    events = [];
+    for (const name of ['crashed', 'restarted', 'giveUp']) {
+      proxy.on(name, (details) => events.push({ name, ...details }));
+    }
+    proxy.start();
+  });
+
+  afterEach(() => {
+    proxy.stop();
+    jest.useRealTimers();
+  });
+
+  test('restarts with a growing delay and gives up after too many crashes', () => {
+    const delays = [];
+    for (let i = 0; i < 5; i++) {
+      crash();
+      delays.push(events[events.length - 1].restartIn);
+      expect(proxy.isRunning()).toBe(false);
+      jest.advanceTimersByTime(delays[i]);
+      expect(proxy.isRunning()).toBe(true);
+    }
+    expect(delays).toEqual([1000, 2000, 4000, 8000, 16000]);
+    expect(events.filter(event => event.name === 'restarted')).toHaveLength(5);
+
+    crash();
+    expect(events[events.length - 1]).toEqual({ name: 'giveUp', code: 1, signal: null, crashes: 6 });
+    expect(proxy.logger.error).toHaveBeenCalledWith('TSServer crashed 6 times in 180s, giving up');
+    jest.advanceTimersByTime(60000);
+    expect(spawn).toHaveBeenCalledTimes(6);
+    expect(proxy.isRunning()).toBe(false);
+  });
+
+  test('starts again with a fresh crash count when options change after giving up', () => {
+    for (let i = 0; i < 5; i++) {
+      crash();
+      jest.runOnlyPendingTimers();
+    }
+    crash();
+    expect(proxy.isRunning()).toBe(false);
+
+    proxy.updateOptions({ tsserver: { args: ['--max-old-space-size=512'] } });
+    expect(proxy.isRunning()).toBe(true);
+    expect(spawn).toHaveBeenLastCalledWith('node', expect.arrayContaining(['--max-old-space-size=512']), expect.anything());
+
+    crash();
+    expect(events[events.length - 1]).toMatchObject({ name: 'crashed', restartIn: 1000 });
+  });
+
+  test('a requested stop is not a crash', () => {
+    proxy.stop();
+    children[0].emit('exit', null, 'SIGTERM');
+    jest.advanceTimersByTime(60000);
+    expect(events).toEqual([]);
+    expect(spawn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('diagnostics rounds', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('wait for requestCompleted however long the round takes', async () => {
+    const proxy = new TSServerProxy('/project', { timeouts: { default: 100 } });
+    proxy.tsserver = { stdin: new PassThrough() };
+    proxy.cancelRequest = jest.fn();
+
+    let settled = null;
+    proxy.requestDiagnostics(['file:///project/a.ts']).then(() => { settled = 'resolved'; }, () => { settled = 'rejected'; });
+    jest.advanceTimersByTime(60000);
+    await Promise.resolve();
+    expect(settled).toBe(null);
+    expect(proxy.cancelRequest).not.toHaveBeenCalled();
+
+    proxy.handleTSServerMessage({ type: 'event', event: 'requestCompleted', body: { request_seq: proxy.requestId } });
+    await Promise.resolve();
+    expect(settled).toBe('resolved');
+  });
+});
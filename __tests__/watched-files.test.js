@@ -0,0 +1,97 @@
+const { pathToFileURL } = require('url');
+const { classifyWatchedFile } = require('../src/watched-files');
+const WorkspaceFolders = require('../src/workspace-folders');
+const VoltLSP = require('../index');
+
+// node-fetch is ESM-only; nothing here fetches
+jest.mock('node-fetch', () => jest.fn());
+
+describe('classifyWatchedFile', () => {
+  test('recognizes manifests, lockfiles, tsconfig variants and the project config', () => {
+    expect(classifyWatchedFile('file:///app/package.json')).toEqual({ kind: 'manifest', filePath: '/app/package.json' });
+    expect(classifyWatchedFile('file:///app/pnpm-lock.yaml').kind).toBe('lockfile');
+    expect(classifyWatchedFile('file:///app/tsconfig.build.json').kind).toBe('tsconfig');
+    expect(classifyWatchedFile('file:///app/jsconfig.json').kind).toBe('tsconfig');
+    expect(classifyWatchedFile('file:///app/.voltrc.json').kind).toBe('config');
+    expect(classifyWatchedFile('file:///app/src/index.ts')).toBeNull();
+  });
+
+  test('extracts package names from installed dependency manifests', () => {
+    expect(classifyWatchedFile('file:///app/node_modules/semver/package.json').packageName).toBe('semver');
+    expect(classifyWatchedFile('file:///app/node_modules/@types/node/package.json').packageName).toBe('@types/node');
+    expect(classifyWatchedFile('file:///app/node_modules/a/node_modules/b/package.json').packageName).toBe('b');
+    expect(classifyWatchedFile('file:///app/node_modules/semver/functions/package.json')).toBeNull();
+    expect(classifyWatchedFile('file:///app/node_modules/semver/tsconfig.json')).toBeNull();
+  });
+});
+
+describe('VoltLSP.handleDidChangeWatchedFiles', () => {
+  const uri = (filePath) => pathToFileURL(filePath).href;
+  let server, app, lib;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    server = new VoltLSP({ on: jest.fn() });
+    server.rootPath = '/app';
+    server.configuration = { loadProjectConfig: jest.fn() };
+    server.tsServerProxy = { reloadProjects: jest.fn().mockResolvedValue() };
+    server.diagnosticsScheduler = { schedule: jest.fn() };
+    server.workspaceFolders = new WorkspaceFolders(() => ({
+      taskRunner: { loadPackageJson: jest.fn() },
+      dependencyInfo: { loadPackageJson: jest.fn(), invalidate: jest.fn() }
+    }));
+    app = server.workspaceFolders.add({ uri: uri('/app') });
+    lib = server.workspaceFolders.add({ uri: uri('/lib') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const change = (...files) => server.handleDidChangeWatchedFiles({
+    changes: files.map(file => ({ uri: uri(file), type: 2 }))
+  });
+
+  test('reloads the manifest and the project config for the root folder', () => {
+    change('/app/package.json');
+    expect(app.taskRunner.loadPackageJson).toHaveBeenCalled();
+    expect(app.dependencyInfo.loadPackageJson).toHaveBeenCalled();
+    expect(server.configuration.loadProjectConfig).toHaveBeenCalled();
+  });
+
+  test('reloads other folders\' manifests without touching the project config', () => {
+    change('/lib/package.json', '/app/src/package.json');
+    expect(lib.taskRunner.loadPackageJson).toHaveBeenCalled();
+    expect(app.taskRunner.loadPackageJson).not.toHaveBeenCalled();
+    expect(server.configuration.loadProjectConfig).not.toHaveBeenCalled();
+  });
+
+  test('invalidates changed dependencies, or everything when the lockfile changes', () => {
+    change('/lib/node_modules/@types/node/package.json');
+    expect(lib.dependencyInfo.invalidate).toHaveBeenCalledWith(['@types/node']);
+
+    change('/app/package-lock.json');
+    expect(app.dependencyInfo.invalidate).toHaveBeenCalledWith();
+  });
+
+  test('reloads the config layers only for the root folder\'s config file', () => {
+    change('/lib/.voltrc.json');
+    expect(server.configuration.loadProjectConfig).not.toHaveBeenCalled();
+
+    change('/app/.voltrc.json');
+    expect(server.configuration.loadProjectConfig).toHaveBeenCalledTimes(1);
+  });
+
+  test('reloads TypeScript projects once per burst of changes, and not for config changes', async () => {
+    change('/app/.voltrc.json');
+    await jest.runAllTimersAsync();
+    expect(server.tsServerProxy.reloadProjects).not.toHaveBeenCalled();
+
+    change('/app/tsconfig.json');
+    change('/app/package.json', '/app/node_modules/semver/package.json');
+    expect(server.tsServerProxy.reloadProjects).not.toHaveBeenCalled();
+    await jest.runAllTimersAsync();
+    expect(server.tsServerProxy.reloadProjects).toHaveBeenCalledTimes(1);
+    expect(server.diagnosticsScheduler.schedule).toHaveBeenCalled();
+  });
+});
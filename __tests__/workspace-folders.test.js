@@ -0,0 +1,34 @@
+const WorkspaceFolders = require('../src/workspace-folders');
+
+describe('WorkspaceFolders', () => {
+  let folders;
+  let disposed;
+
+  beforeEach(() => {
+    disposed = [];
+    folders = new WorkspaceFolders(
+      (folderPath) => ({ taskRunner: { root: folderPath } }),
+      (folder) => disposed.push(folder.name)
+    );
+  });
+
+  test('routes documents to the innermost owning folder', () => {
+    folders.add({ uri: 'file:///home/me/app', name: 'app' });
+    folders.add({ uri: 'file:///home/me/app/packages/lib' });
+
+    expect(folders.folderFor('file:///home/me/app/src/index.ts').name).toBe('app');
+    expect(folders.folderFor('file:///home/me/app/packages/lib/a.ts').name).toBe('lib');
+    expect(folders.folderFor('file:///home/me/app/packages/lib/a.ts').taskRunner.root).toBe('/home/me/app/packages/lib');
+    expect(folders.folderFor('file:///home/me/application/a.ts')).toBeNull();
+    expect(folders.folderFor('untitled:Untitled-1')).toBeNull();
+  });
+
+  test('decodes escaped URIs and disposes removed folders', () => {
+    folders.add({ uri: 'file:///home/me/my%20app', name: 'my app' });
+    expect(folders.folderFor('file:///home/me/my%20app/a.ts').path).toBe('/home/me/my app');
+
+    folders.remove('file:///home/me/my%20app');
+    expect(folders.size).toBe(0);
+    expect(disposed).toEqual(['my app']);
+  });
+});
@@ -1,18 +1,39 @@
 // File: index.js (Versi Perbaikan Final)
 const EventEmitter = require('events');
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
 const LSPConnection = require('./src/lsp-connection');
 const TSServerProxy = require('./src/tsserver-proxy');
 const TermuxAPIManager = require('./src/termux-api-manager');
 const TaskRunner = require('./src/task-runner');
 const DependencyInfoProvider = require('./src/dependency-info-provider');
+const DocumentStore = require('./src/document-store');
+const DiagnosticsScheduler = require('./src/diagnostics-scheduler');
+const Configuration = require('./src/configuration');
+const WorkspaceFolders = require('./src/workspace-folders');
+const { WATCHED_FILE_PATTERNS, classifyWatchedFile } = require('./src/watched-files');
+const TaskProgressReporter = require('./src/task-progress');
+const DiagnosticStore = require('./src/diagnostic-store');
+const TaskDiagnostics = require('./src/task-diagnostics');
+const CodeLensProvider = require('./src/code-lenses');
+const { SemanticTokenTypes, SemanticTokenModifiers } = require('./src/protocol-translation');
 const Logger = require('./src/logger');
+const { parseTransportArgs, listen } = require('./src/transports');
+
+const PROJECT_RELOAD_DELAY_MS = 500;
 
 class VoltLSP extends EventEmitter {
-    constructor() {
+    constructor(connection = new LSPConnection()) {
         super();
         this.logger = new Logger();
-        this.connection = new LSPConnection();
+        this.connection = connection;
+        this.documents = new DocumentStore();
+        this.diagnosticStore = new DiagnosticStore();
+        this.taskDiagnostics = new TaskDiagnostics(this.diagnosticStore);
+        this.codeLenses = new CodeLensProvider();
         this.rootPath = process.cwd();
+        this.shutdownRequested = false;
+        this.exited = false;
     }
 
     start() {
@@ -24,38 +45,121 @@ class VoltLSP extends EventEmitter {
     setupConnectionHandlers() {
         // **PERUBAHAN PENTING:** Kita sekarang meneruskan 'id' dari setiap permintaan
         this.connection.on('initialize', (params, id) => this.handleInitialize(params, id));
-        this.connection.on('textDocument/completion', (params, id) => this.handleCompletion(params, id));
-        this.connection.on('textDocument/hover', (params, id) => this.handleHover(params, id));
-        this.connection.on('textDocument/definition', (params, id) => this.handleDefinition(params, id));
-        this.connection.on('textDocument/codeAction', (params, id) => this.handleCodeAction(params, id));
+        this.connection.on('textDocument/completion', (params, id, token) => this.handleCompletion(params, id, token));
+        this.connection.on('completionItem/resolve', (params, id, token) => this.handleCompletionResolve(params, id, token));
+        this.connection.on('textDocument/hover', (params, id, token) => this.handleHover(params, id, token));
+        this.connection.on('textDocument/signatureHelp', (params, id, token) => this.handleSignatureHelp(params, id, token));
+        this.connection.on('textDocument/definition', (params, id, token) => this.handleDefinition(params, id, token));
+        this.connection.on('textDocument/implementation', (params, id, token) => this.handleImplementation(params, id, token));
+        this.connection.on('textDocument/typeDefinition', (params, id, token) => this.handleTypeDefinition(params, id, token));
+        this.connection.on('textDocument/prepareCallHierarchy', (params, id, token) => this.handlePrepareCallHierarchy(params, id, token));
+        this.connection.on('callHierarchy/incomingCalls', (params, id, token) => this.handleIncomingCalls(params, id, token));
+        this.connection.on('callHierarchy/outgoingCalls', (params, id, token) => this.handleOutgoingCalls(params, id, token));
+        this.connection.on('textDocument/references', (params, id, token) => this.handleReferences(params, id, token));
+        this.connection.on('textDocument/prepareRename', (params, id, token) => this.handlePrepareRename(params, id, token));
+        this.connection.on('textDocument/rename', (params, id, token) => this.handleRename(params, id, token));
+        this.connection.on('textDocument/documentSymbol', (params, id, token) => this.handleDocumentSymbol(params, id, token));
+        this.connection.on('workspace/symbol', (params, id, token) => this.handleWorkspaceSymbol(params, id, token));
+        this.connection.on('textDocument/formatting', (params, id, token) => this.handleFormatting(params, id, token));
+        this.connection.on('textDocument/rangeFormatting', (params, id, token) => this.handleRangeFormatting(params, id, token));
+        this.connection.on('textDocument/onTypeFormatting', (params, id, token) => this.handleOnTypeFormatting(params, id, token));
+        this.connection.on('textDocument/semanticTokens/full', (params, id, token) => this.handleSemanticTokens(params, id, token));
+        this.connection.on('textDocument/semanticTokens/range', (params, id, token) => this.handleSemanticTokens(params, id, token));
+        this.connection.on('textDocument/inlayHint', (params, id, token) => this.handleInlayHint(params, id, token));
+        this.connection.on('textDocument/codeAction', (params, id, token) => this.handleCodeAction(params, id, token));
+        this.connection.on('codeAction/resolve', (params, id, token) => this.handleCodeActionResolve(params, id, token));
+        this.connection.on('textDocument/codeLens', (params, id) => this.handleCodeLens(params, id));
         this.connection.on('workspace/executeCommand', (params, id) => this.handleExecuteCommand(params, id));
 
         // Notifikasi tidak punya 'id' dan tidak butuh balasan
         this.connection.on('initialized', () => this.handleInitialized());
-        this.connection.on('textDocument/didOpen', (params) => this.tsServerProxy.openFile(params.textDocument.uri, params.textDocument.text));
-        this.connection.on('textDocument/didChange', (params) => this.tsServerProxy.updateFile(params.textDocument.uri, params.contentChanges[0].text));
-        this.connection.on('textDocument/didClose', (params) => this.tsServerProxy.closeFile(params.textDocument.uri));
-        this.connection.on('shutdown', () => this.handleShutdown());
+        this.connection.on('textDocument/didOpen', (params) => this.handleDidOpen(params));
+        this.connection.on('textDocument/didChange', (params) => this.handleDidChange(params));
+        this.connection.on('textDocument/didClose', (params) => this.handleDidClose(params));
+        this.connection.on('workspace/didChangeConfiguration', (params) => this.handleDidChangeConfiguration(params));
+        this.connection.on('workspace/didChangeWorkspaceFolders', (params) => this.handleDidChangeWorkspaceFolders(params));
+        this.connection.on('workspace/didChangeWatchedFiles', (params) => this.handleDidChangeWatchedFiles(params));
+        this.connection.on('window/workDoneProgress/cancel', (params) => this.handleWorkDoneProgressCancel(params));
+        this.connection.on('shutdown', (params, id) => this.handleShutdown(params, id));
         this.connection.on('exit', () => this.handleExit());
     }
 
     handleInitialize(params, id) {
-        this.rootPath = params.rootPath || params.rootUri?.replace('file://', '') || process.cwd();
+        this.clientCapabilities = params.capabilities || {};
+        // Older clients only send rootUri/rootPath; treat that as a single folder
+        const rootUri = params.rootUri || (params.rootPath && pathToFileURL(params.rootPath).href) || pathToFileURL(process.cwd()).href;
+        const initialFolders = params.workspaceFolders && params.workspaceFolders.length > 0
+            ? params.workspaceFolders
+            : [{ uri: rootUri }];
+        // tsserver and the project configuration live in the first folder
+        this.rootPath = path.resolve(fileURLToPath(initialFolders[0].uri));
         this.logger.info(`Workspace initialized at: ${this.rootPath}`);
 
+        this.configuration = new Configuration(this.rootPath);
+        this.configuration.loadProjectConfig();
+        this.configuration.setLayer('initializationOptions', params.initializationOptions);
+        const settings = this.configuration.settings;
+
         this.termuxAPI = new TermuxAPIManager();
-        this.tsServerProxy = new TSServerProxy(this.rootPath);
-        this.taskRunner = new TaskRunner(this.rootPath, this.termuxAPI);
-        this.dependencyInfo = new DependencyInfoProvider(this.rootPath);
+        this.termuxAPI.setNotificationSettings(settings.notifications);
+        this.tsServerProxy = new TSServerProxy(this.rootPath, settings);
+        this.tsServerProxy.setClientCapabilities(this.clientCapabilities);
+        this.taskProgress = new TaskProgressReporter(this.connection);
+        this.taskProgress.updateOptions({
+            progressSupported: !!(this.clientCapabilities.window && this.clientCapabilities.window.workDoneProgress),
+            taskOutput: settings.taskOutput
+        });
+        this.workspaceFolders = new WorkspaceFolders(
+            (folderPath) => this.createFolderServices(folderPath),
+            (folder) => folder.taskRunner.killAllTasks()
+        );
+        initialFolders.forEach(folder => this.workspaceFolders.add(folder));
+        this.diagnosticsScheduler = new DiagnosticsScheduler(this.tsServerProxy, this.documents);
+        this.setLogLevel(settings.logLevel);
+        this.configuration.on('changed', (newSettings) => this.applyConfiguration(newSettings));
 
         const result = {
             capabilities: {
-                textDocumentSync: 1,
-                completionProvider: { triggerCharacters: ['.', '/', '"', "'", '@'] },
+                textDocumentSync: 2, // Incremental
+                completionProvider: { triggerCharacters: ['.', '/', '"', "'", '@', '<', '#'], resolveProvider: true },
                 hoverProvider: true,
+                signatureHelpProvider: { triggerCharacters: ['(', ','] },
                 definitionProvider: true,
-                codeActionProvider: true,
-                executeCommandProvider: { commands: ['volt-lsp:runTest', 'volt-lsp:runBuild', 'volt-lsp:copyToClipboard', 'volt-lsp:shareCode', 'volt-lsp:clearCache'] }
+                implementationProvider: true,
+                typeDefinitionProvider: true,
+                callHierarchyProvider: true,
+                referencesProvider: true,
+                renameProvider: { prepareProvider: true },
+                documentSymbolProvider: true,
+                workspaceSymbolProvider: true,
+                documentFormattingProvider: true,
+                documentRangeFormattingProvider: true,
+                documentOnTypeFormattingProvider: { firstTriggerCharacter: ';', moreTriggerCharacter: ['}', '\n'] },
+                semanticTokensProvider: {
+                    legend: { tokenTypes: SemanticTokenTypes, tokenModifiers: SemanticTokenModifiers },
+                    full: true,
+                    range: true
+                },
+                inlayHintProvider: true,
+                codeActionProvider: {
+                    codeActionKinds: [
+                        'quickfix',
+                        'refactor',
+                        'refactor.extract',
+                        'refactor.inline',
+                        'refactor.move',
+                        'refactor.rewrite',
+                        'source.organizeImports',
+                        'source.addMissingImports',
+                        'source.fixAll'
+                    ],
+                    resolveProvider: true
+                },
+                codeLensProvider: { resolveProvider: false },
+                workspace: {
+                    workspaceFolders: { supported: true, changeNotifications: true }
+                },
+                executeCommandProvider: { commands: ['volt-lsp:runTest', 'volt-lsp:runBuild', 'volt-lsp:runTestBlock', 'volt-lsp:runScript', 'volt-lsp:listTasks', 'volt-lsp:killTask', 'volt-lsp:restartTask', 'volt-lsp:copyToClipboard', 'volt-lsp:shareCode', 'volt-lsp:clearCache'] }
             },
             serverInfo: { name: 'Volt LSP', version: '0.2.0' }
         };
@@ -66,63 +170,523 @@ class VoltLSP extends EventEmitter {
 
     handleInitialized() {
         this.logger.info('✅ Volt LSP initialized successfully');
+        this.setupTSServerSupervision();
         this.tsServerProxy.start();
-        this.tsServerProxy.on('diagnostics', (uri, diagnostics) => this.connection.sendDiagnostics(uri, diagnostics));
-        this.taskRunner.on('diagnostic', (diagnostic) => this.connection.sendDiagnostics(diagnostic.uri, [diagnostic]));
-        this.termuxAPI.sendNotification('Volt LSP Ready', 'TypeScript Language Server is now active');
+        this.diagnosticStore.on('changed', (uri, diagnostics) => this.connection.sendDiagnostics(uri, diagnostics));
+        this.diagnosticsScheduler.on('diagnostics', (uri, diagnostics) => this.diagnosticStore.set(uri, 'tsserver', diagnostics));
+        if (this.termuxAPI.isNotificationEnabled('ready')) {
+            this.termuxAPI.sendNotification('Volt LSP Ready', 'TypeScript Language Server is now active');
+        }
+
+        const workspace = this.clientCapabilities.workspace || {};
+        if (workspace.didChangeConfiguration && workspace.didChangeConfiguration.dynamicRegistration) {
+            // Pull-model clients only send didChangeConfiguration after we register for it
+            this.connection.registerCapability([
+                { id: 'volt-configuration', method: 'workspace/didChangeConfiguration', registerOptions: { section: 'volt' } }
+            ]).catch(error => this.logger.warn('Failed to register for configuration changes:', error.message));
+        }
+        if (workspace.configuration) this.pullConfiguration();
+        if (workspace.codeLens && workspace.codeLens.refreshSupport) {
+            // Lenses show the last run's result, so ask for them again when one finishes
+            this.codeLenses.on('changed', () => {
+                this.connection.sendRequest('workspace/codeLens/refresh')
+                    .catch(error => this.logger.warn('Failed to refresh code lenses:', error.message));
+            });
+        }
+        if (workspace.didChangeWatchedFiles && workspace.didChangeWatchedFiles.dynamicRegistration) {
+            this.connection.registerCapability([{
+                id: 'volt-watched-files',
+                method: 'workspace/didChangeWatchedFiles',
+                registerOptions: { watchers: WATCHED_FILE_PATTERNS.map(globPattern => ({ globPattern })) }
+            }]).catch(error => this.logger.warn('Failed to register file watchers:', error.message));
+        }
+    }
+
+    handleDidChangeWatchedFiles(params) {
+        let projectsChanged = false;
+        for (const change of params.changes || []) {
+            const file = classifyWatchedFile(change.uri);
+            if (!file) continue;
+            this.logger.debug(`Watched file changed: ${file.filePath}`);
+            // package.json "types"/"exports" and installed packages affect module resolution too
+            if (file.kind !== 'config') projectsChanged = true;
+
+            const folder = this.workspaceFolders.folderFor(change.uri);
+            if (!folder) continue;
+            const atFolderRoot = path.dirname(file.filePath) === folder.path;
+            const isProjectConfig = atFolderRoot && folder.path === this.rootPath;
+
+            switch (file.kind) {
+                case 'manifest':
+                    if (!atFolderRoot) break;
+                    folder.taskRunner.loadPackageJson();
+                    folder.dependencyInfo.loadPackageJson();
+                    // The "volt" key in package.json is part of the project configuration
+                    if (isProjectConfig) this.configuration.loadProjectConfig();
+                    break;
+                case 'dependency':
+                    folder.dependencyInfo.invalidate([file.packageName]);
+                    break;
+                case 'lockfile':
+                    if (atFolderRoot) folder.dependencyInfo.invalidate();
+                    break;
+                case 'config':
+                    if (isProjectConfig) this.configuration.loadProjectConfig();
+                    break;
+            }
+        }
+        if (projectsChanged) this.scheduleProjectReload();
+    }
+
+    // `npm install` touches hundreds of watched files, often across several notifications
+    scheduleProjectReload() {
+        if (this.projectReloadTimer) clearTimeout(this.projectReloadTimer);
+        this.projectReloadTimer = setTimeout(async () => {
+            this.projectReloadTimer = null;
+            try {
+                await this.tsServerProxy.reloadProjects();
+                this.diagnosticsScheduler.schedule();
+            } catch (error) {
+                this.logger.error('Failed to reload TypeScript projects:', error.message);
+            }
+        }, PROJECT_RELOAD_DELAY_MS);
+    }
+
+    handleWorkDoneProgressCancel(params) {
+        // Only tasks report progress, and there are none before initialize
+        if (this.taskProgress) this.taskProgress.handleCancel(params);
+    }
+
+    handleDidChangeConfiguration(params) {
+        const settings = params && params.settings;
+        if (settings && settings.volt !== undefined) {
+            this.configuration.setLayer('client', settings.volt);
+        } else if (this.clientCapabilities.workspace && this.clientCapabilities.workspace.configuration) {
+            // Pull-model clients send an empty notification and expect us to ask
+            this.pullConfiguration();
+        }
+    }
+
+    async pullConfiguration() {
+        try {
+            const [settings] = await this.connection.getConfiguration([{ section: 'volt' }]);
+            this.configuration.setLayer('client', settings);
+        } catch (error) {
+            this.logger.warn('Failed to fetch configuration from client:', error.message);
+        }
+    }
+
+    applyConfiguration(settings) {
+        this.logger.info('Configuration changed, applying');
+        this.setLogLevel(settings.logLevel);
+        this.termuxAPI.setNotificationSettings(settings.notifications);
+        this.tsServerProxy.updateOptions(settings);
+        this.workspaceFolders.all().forEach(folder => folder.taskRunner.updateOptions(settings));
+        this.taskProgress.updateOptions({ taskOutput: settings.taskOutput });
+    }
+
+    /**
+     * Applies the configured level to this session's loggers only, so clients
+     * sharing the process over a socket or pipe keep their own `logLevel`.
+     */
+    setLogLevel(level) {
+        this.logLevel = level;
+        const folderServices = this.workspaceFolders
+            ? this.workspaceFolders.all().flatMap(folder => [folder.taskRunner, folder.dependencyInfo])
+            : [];
+        [this, this.connection, this.documents, this.configuration, this.termuxAPI, this.tsServerProxy,
+            this.taskProgress, this.workspaceFolders, this.diagnosticsScheduler, ...folderServices]
+            .filter(owner => owner && owner.logger)
+            .forEach(owner => owner.logger.setLevel(level));
+    }
+
+    createFolderServices(folderPath) {
+        const taskRunner = new TaskRunner(folderPath, this.termuxAPI, this.configuration.settings);
+        const dependencyInfo = new DependencyInfoProvider(folderPath);
+        taskRunner.logger.setLevel(this.logLevel);
+        dependencyInfo.logger.setLevel(this.logLevel);
+        this.taskDiagnostics.attach(taskRunner);
+        this.taskProgress.attach(taskRunner);
+        this.codeLenses.attach(taskRunner);
+        taskRunner.on('testSummary', (summary) => {
+            this.connection.showMessage(summary.success ? 3 : 1, summary.message);
+        });
+        return { taskRunner, dependencyInfo };
+    }
+
+    handleDidChangeWorkspaceFolders(params) {
+        const { added = [], removed = [] } = params.event || {};
+        removed.forEach(folder => this.workspaceFolders.remove(folder.uri));
+        added.forEach(folder => this.workspaceFolders.add(folder));
+    }
+
+    /**
+     * The folder a request is about: the one owning `uri` if given, otherwise
+     * the folder of the document edited last, otherwise the first folder.
+     */
+    folderFor(uri) {
+        const candidates = [uri, this.lastActiveUri].filter(Boolean);
+        for (const candidate of candidates) {
+            const folder = this.workspaceFolders.folderFor(candidate);
+            if (folder) return folder;
+        }
+        return this.workspaceFolders.all()[0] || null;
+    }
+
+    requireFolder(folder) {
+        if (!folder) throw new Error('No workspace folder is open');
+        return folder;
+    }
+
+    setupTSServerSupervision() {
+        this.tsServerProxy.on('crashed', ({ code, signal, restartIn }) => {
+            const reason = signal ? `signal ${signal}` : `code ${code}`;
+            const message = `TypeScript server crashed (${reason}), restarting in ${restartIn / 1000}s`;
+            this.connection.showMessage(2, message);
+            this.termuxAPI.notifyWarning('TSServer Crashed', message, 'tsserver');
+        });
+        this.tsServerProxy.on('restarted', () => this.replayDocuments());
+        this.tsServerProxy.on('giveUp', ({ crashes }) => {
+            const message = `TypeScript server crashed ${crashes} times and will not be restarted automatically. ` +
+                'It may be running out of memory.';
+            this.termuxAPI.notifyError('TSServer Stopped', message, 'tsserver');
+            this.connection.showMessageRequest(1, message, ['Restart TSServer'])
+                .then(choice => {
+                    if (choice === 'Restart TSServer') this.tsServerProxy.restart();
+                })
+                .catch(error => this.logger.warn('Restart prompt failed:', error.message));
+        });
+    }
+
+    // A fresh tsserver knows nothing about the editor's buffers; send the latest text of each
+    async replayDocuments() {
+        const documents = this.documents.all();
+        this.logger.info(`TSServer restarted, re-opening ${documents.length} document(s)`);
+        for (const document of documents) {
+            try {
+                await this.tsServerProxy.openFile(document.uri, document.text);
+            } catch (error) {
+                this.logger.error(`Failed to re-open ${document.uri}:`, error.message);
+            }
+        }
+        this.diagnosticsScheduler.schedule();
+    }
+
+    async handleDidOpen(params) {
+        const { uri, text, version } = params.textDocument;
+        this.documents.open(uri, text, version);
+        this.lastActiveUri = uri;
+        this.diagnosticsScheduler.schedule(uri);
+        try {
+            await this.tsServerProxy.openFile(uri, text);
+        } catch (error) {
+            this.logger.error(`Failed to open ${uri} in tsserver:`, error.message);
+        }
+    }
+
+    async handleDidChange(params) {
+        const { uri, version } = params.textDocument;
+        const edits = this.documents.applyChanges(uri, version, params.contentChanges);
+        if (!edits || edits.length === 0) return;
+        this.lastActiveUri = uri;
+        this.diagnosticsScheduler.schedule(uri);
+        try {
+            await this.tsServerProxy.updateFile(uri, edits);
+        } catch (error) {
+            this.logger.error(`Failed to sync changes for ${uri}:`, error.message);
+        }
+    }
+
+    async handleDidClose(params) {
+        const { uri } = params.textDocument;
+        this.documents.close(uri);
+        this.diagnosticsScheduler.clear(uri);
+        try {
+            await this.tsServerProxy.closeFile(uri);
+        } catch (error) {
+            this.logger.error(`Failed to close ${uri} in tsserver:`, error.message);
+        }
+    }
+
+    async handleCompletion(params, id, token) {
+        const result = await this.tsServerProxy.getCompletions(params.textDocument.uri, params.position, params.context, token);
+        this.connection.sendResponse(id, result);
     }
 
-    async handleCompletion(params, id) {
-        const result = await this.tsServerProxy.getCompletions(params.textDocument.uri, params.position);
+    async handleCompletionResolve(item, id, token) {
+        const result = await this.tsServerProxy.resolveCompletionItem(item, token);
         this.connection.sendResponse(id, result);
     }
 
-    async handleHover(params, id) {
+    async handleHover(params, id, token) {
         let hoverInfo = null;
-        if (params.textDocument.uri.endsWith('package.json')) {
-            hoverInfo = await this.dependencyInfo.getHoverInfo(params.textDocument.uri, params.position);
+        const folder = this.workspaceFolders.folderFor(params.textDocument.uri);
+        if (folder && params.textDocument.uri.endsWith('package.json')) {
+            hoverInfo = await folder.dependencyInfo.getHoverInfo(params.textDocument.uri, params.position);
         }
         if (!hoverInfo) {
-            hoverInfo = await this.tsServerProxy.getHover(params.textDocument.uri, params.position);
+            hoverInfo = await this.tsServerProxy.getHover(params.textDocument.uri, params.position, token);
         }
         this.connection.sendResponse(id, hoverInfo);
     }
 
-    async handleDefinition(params, id) {
-        const result = await this.tsServerProxy.getDefinition(params.textDocument.uri, params.position);
+    async handleSignatureHelp(params, id, token) {
+        const result = await this.tsServerProxy.getSignatureHelp(params.textDocument.uri, params.position, params.context, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    async handleDefinition(params, id, token) {
+        const result = await this.tsServerProxy.getDefinition(params.textDocument.uri, params.position, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    async handleImplementation(params, id, token) {
+        const result = await this.tsServerProxy.getImplementation(params.textDocument.uri, params.position, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    async handleTypeDefinition(params, id, token) {
+        const result = await this.tsServerProxy.getTypeDefinition(params.textDocument.uri, params.position, token);
         this.connection.sendResponse(id, result);
     }
 
-    async handleCodeAction(params, id) {
+    async handlePrepareCallHierarchy(params, id, token) {
+        const result = await this.tsServerProxy.prepareCallHierarchy(params.textDocument.uri, params.position, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    async handleIncomingCalls(params, id, token) {
+        const result = await this.tsServerProxy.getIncomingCalls(params.item, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    async handleOutgoingCalls(params, id, token) {
+        const result = await this.tsServerProxy.getOutgoingCalls(params.item, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    async handleReferences(params, id, token) {
+        const result = await this.tsServerProxy.getReferences(params.textDocument.uri, params.position, params.context, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    async handlePrepareRename(params, id, token) {
+        try {
+            const result = await this.tsServerProxy.prepareRename(params.textDocument.uri, params.position, token);
+            this.connection.sendResponse(id, result);
+        } catch (error) {
+            this.connection.sendError(id, -32803, error.message); // RequestFailed
+        }
+    }
+
+    async handleRename(params, id, token) {
+        try {
+            const result = await this.tsServerProxy.rename(params.textDocument.uri, params.position, params.newName, token);
+            this.connection.sendResponse(id, result);
+        } catch (error) {
+            this.connection.sendError(id, -32803, error.message); // RequestFailed
+        }
+    }
+
+    async handleDocumentSymbol(params, id, token) {
+        const result = await this.tsServerProxy.getDocumentSymbols(params.textDocument.uri, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    async handleWorkspaceSymbol(params, id, token) {
+        // navto needs a file to pick a project; any open document will do
+        const anyOpenDocument = this.documents.all()[0];
+        const result = await this.tsServerProxy.getWorkspaceSymbols(params.query, anyOpenDocument && anyOpenDocument.uri, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    async handleFormatting(params, id, token) {
+        const document = this.documents.get(params.textDocument.uri);
+        if (!document) {
+            this.connection.sendResponse(id, []);
+            return;
+        }
+        const range = { start: { line: 0, character: 0 }, end: document.positionAt(document.text.length) };
+        const result = await this.tsServerProxy.formatRange(params.textDocument.uri, range, params.options, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    async handleRangeFormatting(params, id, token) {
+        const result = await this.tsServerProxy.formatRange(params.textDocument.uri, params.range, params.options, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    async handleOnTypeFormatting(params, id, token) {
+        const result = await this.tsServerProxy.formatOnKey(params.textDocument.uri, params.position, params.ch, params.options, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    // Serves both /full and /range; `params.range` is only set for the latter
+    async handleSemanticTokens(params, id, token) {
+        const document = this.documents.get(params.textDocument.uri);
+        if (!document) {
+            this.connection.sendResponse(id, { data: [] });
+            return;
+        }
+        const result = await this.tsServerProxy.getSemanticTokens(params.textDocument.uri, document, params.range, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    async handleInlayHint(params, id, token) {
+        const document = this.documents.get(params.textDocument.uri);
+        if (!document) {
+            this.connection.sendResponse(id, []);
+            return;
+        }
+        const result = await this.tsServerProxy.getInlayHints(params.textDocument.uri, document, params.range, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    async handleCodeAction(params, id, token) {
+        const { uri } = params.textDocument;
+        const only = params.context && params.context.only;
+        const wants = (kind) => !only || only.some(prefix => kind === prefix || kind.startsWith(`${prefix}.`));
+
         const actions = [];
-        const tsActions = await this.tsServerProxy.getCodeActions(params.textDocument.uri, params.range, params.context);
-        if (tsActions) actions.push(...tsActions);
-        if (params.range.start.line !== params.range.end.line || params.range.start.character !== params.range.end.character) {
-            actions.push({ title: '[Volt] Copy to Android Clipboard', command: { command: 'volt-lsp:copyToClipboard', arguments: [params.textDocument.uri, params.range] } });
-            actions.push({ title: '[Volt] Share Code Snippet', command: { command: 'volt-lsp:shareCode', arguments: [params.textDocument.uri, params.range] } });
+        if (wants('quickfix')) {
+            const tsActions = await this.tsServerProxy.getCodeActions(uri, params.range, params.context, token);
+            if (tsActions) actions.push(...tsActions);
+        }
+        if (wants('refactor') || (only && only.some(kind => kind.startsWith('refactor.')))) {
+            const refactors = await this.tsServerProxy.getRefactorActions(uri, params.range, params.context, token);
+            actions.push(...refactors.filter(action => wants(action.kind)));
+        }
+        // Source actions apply to the whole file, so only offer them when asked for
+        if (only && only.some(kind => kind === 'source' || kind.startsWith('source.'))) {
+            actions.push(...this.tsServerProxy.getSourceActions(uri).filter(action => wants(action.kind)));
+        }
+
+        if (!only && (params.range.start.line !== params.range.end.line || params.range.start.character !== params.range.end.character)) {
+            actions.push({ title: '[Volt] Copy to Android Clipboard', command: { command: 'volt-lsp:copyToClipboard', arguments: [uri, params.range] } });
+            actions.push({ title: '[Volt] Share Code Snippet', command: { command: 'volt-lsp:shareCode', arguments: [uri, params.range] } });
         }
         this.connection.sendResponse(id, actions);
     }
 
+    async handleCodeActionResolve(action, id, token) {
+        const result = await this.tsServerProxy.resolveCodeAction(action, token);
+        this.connection.sendResponse(id, result);
+    }
+
+    handleCodeLens(params, id) {
+        const document = this.documents.get(params.textDocument.uri);
+        const folder = this.workspaceFolders.folderFor(params.textDocument.uri);
+        this.connection.sendResponse(id, document ? this.codeLenses.provideCodeLenses(document, folder) : []);
+    }
+
     async handleExecuteCommand(params, id) {
         const { command, arguments: args = [] } = params;
         try {
+            let result = null;
+            // Task commands take an optional document or folder URI picking the folder to run in
+            const folder = this.folderFor(typeof args[0] === 'string' ? args[0] : undefined);
             switch (command) {
-                case 'volt-lsp:runTest': await this.taskRunner.runTest(); break;
-                case 'volt-lsp:runBuild': await this.taskRunner.runBuild(); break;
+                case 'volt-lsp:runTest': await this.requireFolder(folder).taskRunner.runTest(); break;
+                case 'volt-lsp:runBuild': await this.requireFolder(folder).taskRunner.runBuild(); break;
+                // From code lenses: [test file uri, block full name?] and [folder uri, script name]
+                case 'volt-lsp:runTestBlock':
+                    await this.requireFolder(folder).taskRunner.runTest({ file: path.resolve(fileURLToPath(args[0])), testName: args[1] });
+                    break;
+                case 'volt-lsp:runScript': await this.requireFolder(folder).taskRunner.runScript(args[1]); break;
+                // Task commands take a task id from listTasks; without one the user picks
+                case 'volt-lsp:listTasks': result = this.listTasks(); break;
+                case 'volt-lsp:killTask': {
+                    const task = await this.pickTask(args[0], 'Kill');
+                    if (task) await this.workspaceFolders.get(task.folder).taskRunner.killTask(task.taskId);
+                    break;
+                }
+                case 'volt-lsp:restartTask': {
+                    const task = await this.pickTask(args[0], 'Restart');
+                    if (task) await this.workspaceFolders.get(task.folder).taskRunner.restartTask(task.taskId);
+                    break;
+                }
                 // Implementasi lain...
             }
-            this.connection.sendResponse(id, null); // Kirim balasan sukses
+            this.connection.sendResponse(id, result); // Kirim balasan sukses
         } catch (error) {
             this.logger.error(`Error executing command ${command}:`, error.message);
             this.connection.sendError(id, -32000, error.message); // Kirim balasan error
         }
     }
 
-    handleShutdown() { /* ... */ }
-    handleExit() { /* ... */ }
+    // Running tasks of every folder: `{ taskId, label, command, startedAt, watch, folder }`
+    listTasks() {
+        return this.workspaceFolders.all().flatMap(folder => folder.taskRunner.getRunningTasks()
+            .map(taskId => ({ ...folder.taskRunner.getTaskInfo(taskId), folder: folder.uri })));
+    }
+
+    // The task with the given id, or the one the user picks if there's no id
+    async pickTask(taskId, action) {
+        const tasks = this.listTasks();
+        if (taskId) {
+            const task = tasks.find(candidate => candidate.taskId === taskId);
+            if (!task) throw new Error(`Task ${taskId} is not running`);
+            return task;
+        }
+        if (tasks.length === 0) throw new Error('No tasks are running');
+        if (tasks.length === 1) return tasks[0];
+
+        const titleOf = (task) => `${task.label} (${task.taskId})`;
+        const choice = await this.connection.showMessageRequest(3, `${action} which task?`, tasks.map(titleOf));
+        return tasks.find(task => titleOf(task) === choice) || null;
+    }
+
+    handleShutdown(params, id) {
+        this.logger.info('Shutting down Volt LSP...');
+        this.shutdownRequested = true;
+        if (this.projectReloadTimer) clearTimeout(this.projectReloadTimer);
+        if (this.workspaceFolders) this.workspaceFolders.all().forEach(folder => folder.taskRunner.killAllTasks());
+        if (this.diagnosticsScheduler) this.diagnosticsScheduler.cancel();
+        if (this.tsServerProxy) this.tsServerProxy.stop();
+        this.connection.sendResponse(id, null);
+    }
+
+    handleExit() {
+        if (this.exited) return;
+        this.exited = true;
+        // Tasks run in their own process group and would outlive us otherwise
+        if (this.workspaceFolders) this.workspaceFolders.all().forEach(folder => folder.taskRunner.killAllTasks());
+        if (this.diagnosticsScheduler) this.diagnosticsScheduler.cancel();
+        if (this.tsServerProxy) this.tsServerProxy.stop();
+        // LSP: exit code 1 when the client exits without asking for a shutdown first
+        this.emit('exit', this.shutdownRequested ? 0 : 1);
+    }
+}
+
+async function main(argv) {
+    const transport = parseTransportArgs(argv);
+
+    if (transport.type === 'stdio' || transport.type === 'node-ipc') {
+        const server = new VoltLSP(new LSPConnection({ ipc: transport.type === 'node-ipc' }));
+        server.on('exit', (code) => process.exit(code));
+        server.start();
+        return;
+    }
+
+    // Socket and pipe: one long-lived process, one session per client
+    const logger = new Logger();
+    await listen(transport, (socket) => {
+        logger.info(`Client connected (${socket.remoteAddress || 'pipe'})`);
+        const server = new VoltLSP(new LSPConnection({ input: socket, output: socket }));
+        server.on('exit', () => {
+            logger.info('Client session ended');
+            socket.end();
+        });
+        server.start();
+    });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((error) => {
+        console.error(`volt-lsp: ${error.message}`);
+        process.exit(1);
+    });
 }
 
-const server = new VoltLSP();
-server.start();
 module.exports = VoltLSP;
+module.exports.main = main;
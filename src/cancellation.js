@@ -0,0 +1,24 @@
+const EventEmitter = require('events');
+
+// Handed to request handlers; flips when the client sends $/cancelRequest
+class CancellationToken extends EventEmitter {
+    constructor() {
+        super();
+        this.isCancellationRequested = false;
+    }
+
+    cancel() {
+        if (this.isCancellationRequested) return;
+        this.isCancellationRequested = true;
+        this.emit('cancelled');
+    }
+}
+
+class CancelledError extends Error {
+    constructor(message = 'Request cancelled') {
+        super(message);
+        this.name = 'CancelledError';
+    }
+}
+
+module.exports = { CancellationToken, CancelledError };
@@ -0,0 +1,271 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const EventEmitter = require('events');
+const { canonicalUri } = require('./document-store');
+
+const TEST_FILE_PATTERN = /(\.(test|spec)\.[cm]?[jt]sx?|[\\/]__tests__[\\/].+\.[cm]?[jt]sx?)$/;
+const TEST_CALL_PATTERN = /^(describe|it|test)((?:\.(?:only|skip|concurrent|failing))*)\s*\(\s*(['"`])/;
+// After these a `/` starts a regex literal rather than a division
+const REGEX_PRECEDERS = new Set(['', '(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '+', '-', '*', '%', '<', '>', '~', '^']);
+
+/**
+ * Finds the `describe`/`it`/`test` calls with a literal name in a test file:
+ * `{ kind: 'describe' | 'test', name, fullName, start, end }` with character
+ * offsets. `fullName` joins the enclosing describe names like Jest does.
+ * A light scanner rather than a parser, so it copes with half-typed code.
+ */
+function findTestBlocks(text) {
+    const blocks = [];
+    const parens = []; // open '(' -> the block it starts, or null
+    let pending = null;
+    let previous = '';
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '/' && text[i + 1] === '/') {
+            i = skipUntil(text, i, '\n');
+        } else if (ch === '/' && text[i + 1] === '*') {
+            i = skipUntil(text, i + 2, '*/');
+        } else if (ch === '\'' || ch === '"' || ch === '`') {
+            i = skipString(text, i);
+            previous = 'string';
+        } else if (ch === '/' && REGEX_PRECEDERS.has(previous)) {
+            i = skipRegex(text, i);
+            previous = 'regex';
+        } else if (/[A-Za-z_$]/.test(ch)) {
+            const word = text.slice(i).match(/^[\w$]+/)[0];
+            const call = previous !== '.' && text.slice(i, i + 200).match(TEST_CALL_PATTERN);
+            if (call) {
+                const nameStart = i + call[0].length - 1;
+                const parent = parens.filter(Boolean).pop();
+                const name = readName(text, nameStart);
+                pending = {
+                    kind: call[1] === 'describe' ? 'describe' : 'test',
+                    name,
+                    fullName: parent ? `${parent.fullName} ${name}` : name,
+                    start: i,
+                    end: text.length
+                };
+                i = text.indexOf('(', i + call[1].length + call[2].length);
+            } else {
+                i += word.length;
+            }
+            previous = 'word';
+        } else if (ch === '(') {
+            parens.push(pending);
+            if (pending) blocks.push(pending);
+            pending = null;
+            previous = ch;
+            i++;
+        } else if (ch === ')') {
+            const block = parens.pop();
+            if (block) block.end = i + 1;
+            previous = ch;
+            i++;
+        } else {
+            if (!/\s/.test(ch)) previous = ch;
+            i++;
+        }
+    }
+    return blocks;
+}
+
+function skipUntil(text, from, terminator) {
+    const end = text.indexOf(terminator, from);
+    return end === -1 ? text.length : end + terminator.length;
+}
+
+function skipString(text, start) {
+    const quote = text[start];
+    let i = start + 1;
+    while (i < text.length && text[i] !== quote) {
+        // Plain strings end at the line; template literals don't
+        if (text[i] === '\n' && quote !== '`') return i;
+        i += text[i] === '\\' ? 2 : 1;
+    }
+    return i + 1;
+}
+
+function skipRegex(text, start) {
+    let inClass = false;
+    for (let i = start + 1; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') i++;
+        else if (ch === '\n') return i;
+        else if (ch === '[') inClass = true;
+        else if (ch === ']') inClass = false;
+        else if (ch === '/' && !inClass) return i + 1;
+    }
+    return text.length;
+}
+
+function readName(text, quoteIndex) {
+    const end = skipString(text, quoteIndex);
+    return text.slice(quoteIndex + 1, end - 1).replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Finds the entries of the top-level `scripts` object in package.json text:
+ * `{ name, start, end }` with the key's character offsets.
+ */
+function findScriptEntries(text) {
+    const entries = [];
+    let depth = 0;
+    let scriptsDepth = -1; // depth inside the scripts object while we're in it
+    let expectScripts = false;
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '"') {
+            const end = skipString(text, i);
+            const isKey = /^\s*:/.test(text.slice(end, end + 50));
+            if (isKey) {
+                const name = parseJsonString(text.slice(i, end));
+                if (depth === 1 && name === 'scripts') expectScripts = true;
+                else if (depth === scriptsDepth && name !== null) entries.push({ name, start: i, end });
+            }
+            i = end;
+            continue;
+        }
+        if (ch === '{' || ch === '[') {
+            depth++;
+            if (expectScripts && ch === '{') scriptsDepth = depth;
+            expectScripts = false;
+        } else if (ch === '}' || ch === ']') {
+            if (depth === scriptsDepth) scriptsDepth = -1;
+            depth--;
+        } else if (ch !== ':' && !/\s/.test(ch)) {
+            expectScripts = false;
+        }
+        i++;
+    }
+    return entries;
+}
+
+function parseJsonString(literal) {
+    try {
+        return JSON.parse(literal);
+    } catch (error) {
+        return null;
+    }
+}
+
+function isTestFile(uri) {
+    return TEST_FILE_PATTERN.test(uri);
+}
+
+function formatResult(result) {
+    if (!result) return '';
+    if (result.status === 'cancelled') return ' · cancelled';
+    const duration = result.duration < 1000 ? `${result.duration}ms` : `${(result.duration / 1000).toFixed(1)}s`;
+    return ` · ${result.status === 'passed' ? '✓' : '✗'} ${duration}`;
+}
+
+/**
+ * Code lenses running tests and npm scripts: "▶ Run | Run file" above each
+ * test block and "▶ npm run <name>" above each package.json script. Lenses
+ * show the last result and duration; 'changed' fires when one comes in so
+ * the editor can be asked to refresh them.
+ */
+class CodeLensProvider extends EventEmitter {
+    constructor() {
+        super();
+        this.scriptResults = new Map(); // "<folder>:<script>" -> { status, duration }
+        this.testResults = new Map(); // test file uri -> { tests: Map(fullName -> { status, duration }) }
+    }
+
+    attach(taskRunner) {
+        const started = new Map();
+        taskRunner.on('taskStarted', ({ taskId, label }) => {
+            started.set(taskId, { label, at: Date.now() });
+        });
+        taskRunner.on('taskEnded', ({ taskId, cancelled, success }) => {
+            const task = started.get(taskId);
+            started.delete(taskId);
+            if (!task) return;
+            const status = cancelled ? 'cancelled' : (success ? 'passed' : 'failed');
+            this.scriptResults.set(`${taskRunner.rootPath}:${task.label}`, { status, duration: Date.now() - task.at });
+            this.emit('changed');
+        });
+        taskRunner.on('testResults', ({ files }) => {
+            files.forEach(file => this.recordTestFile(file));
+        });
+    }
+
+    recordTestFile({ uri, tests }) {
+        const entry = this.testResults.get(uri) || { tests: new Map() };
+        // Tests filtered out by -t come back as pending; a run without any
+        // covered the whole file, so results of removed tests can go
+        if (!tests.some(test => test.status === 'pending')) entry.tests = new Map();
+        for (const test of tests) {
+            if (test.status === 'passed' || test.status === 'failed') {
+                entry.tests.set(test.fullName, { status: test.status, duration: test.duration });
+            }
+        }
+        this.testResults.set(uri, entry);
+    }
+
+    /**
+     * The lenses for an open document. `folder` is the workspace folder
+     * owning it; package.json lenses only appear for the folder's own
+     * manifest, since that's the one its task runner runs.
+     */
+    provideCodeLenses(document, folder) {
+        if (!folder) return [];
+        if (isTestFile(document.uri)) return this.testLenses(document);
+        if (path.basename(document.uri) === 'package.json' &&
+            canonicalUri(document.uri) === pathToFileURL(path.join(folder.path, 'package.json')).href) {
+            return this.scriptLenses(document, folder);
+        }
+        return [];
+    }
+
+    testLenses(document) {
+        const lenses = [];
+        const fileCommand = { title: 'Run file', command: 'volt-lsp:runTestBlock', arguments: [document.uri] };
+        for (const block of findTestBlocks(document.text)) {
+            const range = { start: document.positionAt(block.start), end: document.positionAt(block.end) };
+            const result = this.testResult(document.uri, block);
+            lenses.push({
+                range,
+                command: { title: `▶ Run${formatResult(result)}`, command: 'volt-lsp:runTestBlock', arguments: [document.uri, block.fullName] }
+            });
+            lenses.push({ range, command: fileCommand });
+        }
+        return lenses;
+    }
+
+    // A describe block passed if every test in it that ran passed
+    testResult(uri, block) {
+        // Reports name files the way pathToFileURL does, which may not be the client's spelling
+        const entry = this.testResults.get(canonicalUri(uri));
+        if (!entry) return null;
+        if (block.kind === 'test') return entry.tests.get(block.fullName) || null;
+
+        let result = null;
+        for (const [fullName, test] of entry.tests) {
+            if (!fullName.startsWith(`${block.fullName} `)) continue;
+            result = result || { status: 'passed', duration: 0 };
+            if (test.status === 'failed') result.status = 'failed';
+            result.duration += test.duration;
+        }
+        return result;
+    }
+
+    scriptLenses(document, folder) {
+        return findScriptEntries(document.text).map(entry => ({
+            range: { start: document.positionAt(entry.start), end: document.positionAt(entry.end) },
+            command: {
+                title: `▶ npm run ${entry.name}${formatResult(this.scriptResults.get(`${folder.path}:${entry.name}`))}`,
+                command: 'volt-lsp:runScript',
+                arguments: [folder.uri, entry.name]
+            }
+        }));
+    }
+}
+
+module.exports = CodeLensProvider;
+module.exports.findTestBlocks = findTestBlocks;
+module.exports.findScriptEntries = findScriptEntries;
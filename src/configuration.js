@@ -0,0 +1,95 @@
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs');
+const Logger = require('./logger');
+
+const PROJECT_CONFIG_FILE = '.voltrc.json';
+
+// Later layers win; each component keeps the defaults for its own section
+const LAYERS = ['defaults', 'project', 'initializationOptions', 'client'];
+
+const DEFAULTS = {
+    logLevel: process.env.VOLT_LSP_LOG_LEVEL || 'info'
+};
+
+/**
+ * Merges the configuration layers into one settings object:
+ *
+ *   defaults < .voltrc.json / package.json "volt" < initializationOptions
+ *            < workspace/didChangeConfiguration (or workspace/configuration)
+ *
+ * Objects merge key by key, everything else (arrays included) is replaced.
+ * Emits 'changed' with the new and previous settings whenever the merged
+ * result actually changes.
+ */
+class Configuration extends EventEmitter {
+    constructor(rootPath) {
+        super();
+        this.rootPath = rootPath;
+        this.logger = new Logger('Configuration');
+        this.layers = { defaults: DEFAULTS };
+        this.settings = this.merge();
+    }
+
+    get(key) {
+        return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), this.settings);
+    }
+
+    setLayer(name, values) {
+        if (!LAYERS.includes(name)) throw new Error(`Unknown configuration layer: ${name}`);
+        this.layers[name] = isPlainObject(values) ? values : {};
+
+        const previous = this.settings;
+        this.settings = this.merge();
+        if (JSON.stringify(previous) !== JSON.stringify(this.settings)) {
+            this.emit('changed', this.settings, previous);
+        }
+    }
+
+    merge() {
+        return LAYERS.reduce((merged, name) => deepMerge(merged, this.layers[name] || {}), {});
+    }
+
+    // .voltrc.json wins over a "volt" key in package.json
+    loadProjectConfig() {
+        this.setLayer('project', this.readProjectConfig());
+    }
+
+    readProjectConfig() {
+        const rcPath = path.join(this.rootPath, PROJECT_CONFIG_FILE);
+        const rc = this.readJson(rcPath);
+        if (rc) {
+            this.logger.info(`Loaded ${PROJECT_CONFIG_FILE}`);
+            return rc;
+        }
+
+        const packageJson = this.readJson(path.join(this.rootPath, 'package.json'));
+        return packageJson && isPlainObject(packageJson.volt) ? packageJson.volt : {};
+    }
+
+    readJson(filePath) {
+        try {
+            if (!fs.existsSync(filePath)) return null;
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            this.logger.warn(`Ignoring invalid ${path.basename(filePath)}:`, error.message);
+            return null;
+        }
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(target, source) {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(source)) {
+        if (value === undefined || value === null) continue;
+        result[key] = isPlainObject(value) && isPlainObject(result[key]) ? deepMerge(result[key], value) : value;
+    }
+    return result;
+}
+
+module.exports = Configuration;
+module.exports.PROJECT_CONFIG_FILE = PROJECT_CONFIG_FILE;
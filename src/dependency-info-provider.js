@@ -22,6 +22,8 @@ class DependencyInfoProvider {
                 const content = fs.readFileSync(this.packageJsonPath, 'utf8');
                 this.packageJson = JSON.parse(content);
                 this.logger.info('Loaded package.json for dependency analysis');
+            } else {
+                this.packageJson = null;
             }
         } catch (error) {
             this.logger.error('Failed to load package.json:', error);
@@ -74,6 +76,20 @@ class DependencyInfoProvider {
         }
     }
 
+    // Drops cached info for the given packages, or for all of them (e.g. after a lockfile change)
+    async invalidate(packageNames) {
+        const names = packageNames || Array.from(this.cache.keys());
+        let removed = 0;
+        for (const name of names) {
+            if (this.cache.delete(name)) removed++;
+        }
+        if (removed === 0) return;
+
+        this.logger.debug(`Invalidated ${removed} cached package(s)`);
+        if (this.cache.size === 0) await this.clearCache();
+        else await this.saveCache();
+    }
+
     async getHoverInfo(uri, position) {
         if (!this.packageJson) {
             return null;
@@ -0,0 +1,62 @@
+const EventEmitter = require('events');
+
+/**
+ * All diagnostics we know about, keyed by file and by the source that
+ * produced them ('tsserver', 'tsc', 'eslint', 'jest'). A client only ever
+ * sees one list per file, so every change emits 'changed' with the merged
+ * list of all sources for that file.
+ */
+class DiagnosticStore extends EventEmitter {
+    constructor() {
+        super();
+        this.entries = new Map(); // uri -> Map<source, diagnostics>
+    }
+
+    set(uri, source, diagnostics) {
+        let sources = this.entries.get(uri);
+        if (!sources) {
+            if (diagnostics.length === 0) return;
+            sources = new Map();
+            this.entries.set(uri, sources);
+        }
+
+        if (diagnostics.length > 0) {
+            sources.set(source, diagnostics);
+        } else if (!sources.delete(source)) {
+            return;
+        }
+        if (sources.size === 0) this.entries.delete(uri);
+        this.emit('changed', uri, this.get(uri));
+    }
+
+    get(uri) {
+        const sources = this.entries.get(uri);
+        if (!sources) return [];
+        return Array.from(sources.values()).reduce((all, diagnostics) => all.concat(diagnostics), []);
+    }
+
+    getSource(uri, source) {
+        const sources = this.entries.get(uri);
+        return (sources && sources.get(source)) || [];
+    }
+
+    urisFor(source) {
+        return Array.from(this.entries.keys()).filter(uri => this.entries.get(uri).has(source));
+    }
+
+    /**
+     * Makes `byUri` (uri -> diagnostics) the complete result of `source`:
+     * files it no longer mentions are cleared. `inScope(uri)` limits which
+     * existing files may be cleared, e.g. to one workspace folder.
+     */
+    replaceSource(source, byUri, inScope = () => true) {
+        for (const uri of this.urisFor(source)) {
+            if (!byUri.has(uri) && inScope(uri)) this.set(uri, source, []);
+        }
+        for (const [uri, diagnostics] of byUri) {
+            this.set(uri, source, diagnostics);
+        }
+    }
+}
+
+module.exports = DiagnosticStore;
@@ -0,0 +1,94 @@
+const EventEmitter = require('events');
+const Logger = require('./logger');
+
+const DIAGNOSTIC_KINDS = ['syntax', 'semantic', 'suggestion'];
+
+/**
+ * Asks tsserver for diagnostics (`geterr`) a short while after the user stops
+ * typing and merges the per-kind results into one list per file.
+ *
+ * tsserver cancels its running error check whenever a new `geterr` arrives,
+ * so a new round implicitly replaces the previous one. Results that still
+ * trickle in for a document edited since its round started are dropped: the
+ * next round will report on the current text.
+ */
+class DiagnosticsScheduler extends EventEmitter {
+    constructor(tsServerProxy, documents, options = {}) {
+        super();
+        this.tsServerProxy = tsServerProxy;
+        this.documents = documents;
+        this.delay = options.delay !== undefined ? options.delay : 250;
+        this.logger = new Logger('Diagnostics');
+        this.timer = null;
+        this.pendingUris = new Set();
+        this.roundVersions = new Map();
+        this.results = new Map();
+
+        this.tsServerProxy.on('diagnostics', (uri, diagnostics, kind) => this.handleDiagnostics(uri, diagnostics, kind));
+    }
+
+    schedule(uri) {
+        if (uri) this.pendingUris.add(uri);
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.run(), this.delay);
+    }
+
+    cancel() {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+        this.pendingUris.clear();
+    }
+
+    async run() {
+        this.timer = null;
+        // Files the user just touched go first, then every other open document
+        const uris = Array.from(this.pendingUris);
+        for (const document of this.documents.all()) {
+            if (!uris.includes(document.uri)) uris.push(document.uri);
+        }
+        this.pendingUris.clear();
+
+        const openUris = uris.filter(uri => this.documents.has(uri));
+        if (openUris.length === 0) return;
+
+        this.roundVersions = new Map(openUris.map(uri => [uri, this.documents.get(uri).version]));
+        this.logger.debug(`Requesting diagnostics for ${openUris.length} file(s)`);
+        try {
+            await this.tsServerProxy.requestDiagnostics(openUris);
+        } catch (error) {
+            this.logger.error('Failed to request diagnostics:', error.message);
+        }
+    }
+
+    // `tsUri` is built from tsserver's path; results go out under the client's own URI
+    handleDiagnostics(tsUri, diagnostics, kind) {
+        const document = this.documents.find(tsUri);
+        if (!document) return;
+        const uri = document.uri;
+        if (this.roundVersions.has(uri) && this.roundVersions.get(uri) !== document.version) {
+            this.logger.debug(`Dropping stale ${kind} diagnostics for ${uri}`);
+            return;
+        }
+
+        const entry = this.results.get(uri) || {};
+        entry[kind] = diagnostics;
+        this.results.set(uri, entry);
+        this.emit('diagnostics', uri, this.getDiagnostics(uri));
+    }
+
+    getDiagnostics(uri) {
+        const entry = this.results.get(uri);
+        if (!entry) return [];
+        return DIAGNOSTIC_KINDS.reduce((all, kind) => all.concat(entry[kind] || []), []);
+    }
+
+    clear(uri) {
+        this.pendingUris.delete(uri);
+        this.roundVersions.delete(uri);
+        if (this.results.delete(uri)) {
+            this.emit('diagnostics', uri, []);
+        }
+    }
+}
+
+module.exports = DiagnosticsScheduler;
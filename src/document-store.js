@@ -0,0 +1,179 @@
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+const Logger = require('./logger');
+
+class TextDocument {
+    constructor(uri, text, version = 0) {
+        this.uri = uri;
+        this.text = text;
+        this.version = version;
+        this.lineOffsets = null;
+    }
+
+    getLineOffsets() {
+        if (!this.lineOffsets) {
+            const offsets = [0];
+            for (let i = 0; i < this.text.length; i++) {
+                const ch = this.text.charCodeAt(i);
+                // \r\n counts as a single line break
+                if (ch === 13 && this.text.charCodeAt(i + 1) === 10) {
+                    i++;
+                }
+                if (ch === 13 || ch === 10) {
+                    offsets.push(i + 1);
+                }
+            }
+            this.lineOffsets = offsets;
+        }
+        return this.lineOffsets;
+    }
+
+    get lineCount() {
+        return this.getLineOffsets().length;
+    }
+
+    offsetAt(position) {
+        const lineOffsets = this.getLineOffsets();
+        if (position.line >= lineOffsets.length) {
+            return this.text.length;
+        }
+        if (position.line < 0) {
+            return 0;
+        }
+
+        const lineStart = lineOffsets[position.line];
+        const lineEnd = position.line + 1 < lineOffsets.length ? lineOffsets[position.line + 1] : this.text.length;
+        return Math.max(lineStart, Math.min(lineStart + position.character, lineEnd));
+    }
+
+    positionAt(offset) {
+        const lineOffsets = this.getLineOffsets();
+        offset = Math.max(0, Math.min(offset, this.text.length));
+
+        let low = 0;
+        let high = lineOffsets.length;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (lineOffsets[mid] > offset) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        const line = low - 1;
+        return { line, character: offset - lineOffsets[line] };
+    }
+
+    getText(range) {
+        if (!range) return this.text;
+        return this.text.substring(this.offsetAt(range.start), this.offsetAt(range.end));
+    }
+
+    /**
+     * Applies a single LSP content change and returns the edit that was made,
+     * expressed as a range over the text *before* the change. Full-text
+     * changes are turned into an edit spanning the whole previous document.
+     */
+    applyChange(change) {
+        let start;
+        let end;
+
+        if (change.range) {
+            start = this.offsetAt(change.range.start);
+            end = this.offsetAt(change.range.end);
+        } else {
+            start = 0;
+            end = this.text.length;
+        }
+
+        const edit = {
+            range: { start: this.positionAt(start), end: this.positionAt(end) },
+            text: change.text
+        };
+
+        this.text = this.text.substring(0, start) + change.text + this.text.substring(end);
+        this.lineOffsets = null;
+        return edit;
+    }
+}
+
+// Clients percent-encode file URIs in different ways (`%40` for `@`, `c%3A`
+// for a drive letter); this is how pathToFileURL spells the same file
+function canonicalUri(uri) {
+    try {
+        return pathToFileURL(path.resolve(fileURLToPath(uri))).href;
+    } catch (error) {
+        return uri; // not a file URI
+    }
+}
+
+class DocumentStore {
+    constructor() {
+        this.logger = new Logger('DocumentStore');
+        this.documents = new Map();
+        this.clientUris = new Map(); // canonical uri -> the uri the client opened it with
+    }
+
+    open(uri, text, version = 0) {
+        const document = new TextDocument(uri, text, version);
+        this.documents.set(uri, document);
+        this.clientUris.set(canonicalUri(uri), uri);
+        return document;
+    }
+
+    get(uri) {
+        return this.documents.get(uri);
+    }
+
+    // Like get(), but also matches a URI spelled differently for the same file
+    find(uri) {
+        return this.documents.get(uri) || this.documents.get(this.clientUris.get(canonicalUri(uri)));
+    }
+
+    has(uri) {
+        return this.documents.has(uri);
+    }
+
+    close(uri) {
+        this.clientUris.delete(canonicalUri(uri));
+        return this.documents.delete(uri);
+    }
+
+    all() {
+        return Array.from(this.documents.values());
+    }
+
+    /**
+     * Applies `contentChanges` from a `textDocument/didChange` notification in
+     * order. Returns the list of edits to forward to tsserver, or `null` when
+     * the change is stale (its version is not newer than the one we hold).
+     */
+    applyChanges(uri, version, contentChanges = []) {
+        const document = this.documents.get(uri);
+        if (!document) {
+            this.logger.warn(`Change received for unknown document: ${uri}`);
+            return null;
+        }
+
+        if (typeof version === 'number') {
+            if (version <= document.version) {
+                this.logger.warn(`Ignoring out-of-order change for ${uri} (got v${version}, have v${document.version})`);
+                return null;
+            }
+            if (version > document.version + 1) {
+                this.logger.warn(`Version gap for ${uri}: v${document.version} -> v${version}`);
+            }
+        }
+
+        const edits = contentChanges.map(change => document.applyChange(change));
+        if (typeof version === 'number') {
+            document.version = version;
+        }
+        return edits;
+    }
+}
+
+module.exports = DocumentStore;
+module.exports.TextDocument = TextDocument;
+module.exports.canonicalUri = canonicalUri;
@@ -0,0 +1,112 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const DiagnosticSeverity = { Error: 1 };
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+const STACK_FRAME_PATTERN = /^\s*at .*?\(?((?:[A-Za-z]:)?[^():]+):(\d+):(\d+)\)?\s*$/;
+
+/**
+ * Turns Jest's `--json` report into diagnostics, one per failed test, at
+ * the failing `expect` line of the test file. The line comes from the first
+ * stack frame inside the test file; without one (e.g. a timeout) we fall
+ * back to the test's own location from `--testLocationInResults`.
+ */
+function toJestDiagnostics(report) {
+    const results = [];
+    for (const suite of report.testResults || []) {
+        const file = path.resolve(suite.name);
+        const uri = pathToFileURL(file).href;
+        const failedTests = (suite.assertionResults || []).filter(test => test.status === 'failed');
+
+        for (const test of failedTests) {
+            const failure = stripAnsi((test.failureMessages || []).join('\n\n'));
+            const position = findFramePosition(failure, file) || toPosition(test.location);
+            const diagnostic = toDiagnostic(position, test.fullName || test.title, failure);
+            // Lets a run limited with -t keep the results of the tests it skipped
+            diagnostic.data = { test: test.fullName || test.title };
+            results.push({ uri, diagnostic });
+        }
+
+        // The whole file failed to run (syntax error, failing import, ...)
+        if (suite.status === 'failed' && failedTests.length === 0 && suite.message) {
+            const failure = stripAnsi(suite.message);
+            results.push({ uri, diagnostic: toDiagnostic(findFramePosition(failure, file), 'Test suite failed to run', failure) });
+        }
+    }
+    return results;
+}
+
+function toDiagnostic(position, title, failure) {
+    const start = position || { line: 0, character: 0 };
+    return {
+        range: { start, end: start },
+        severity: DiagnosticSeverity.Error,
+        source: 'jest',
+        message: `${title}\n\n${withoutStack(failure)}`
+    };
+}
+
+function findFramePosition(failure, file) {
+    for (const line of failure.split('\n')) {
+        const frame = line.match(STACK_FRAME_PATTERN);
+        if (frame && path.resolve(frame[1]) === file) {
+            return { line: parseInt(frame[2], 10) - 1, character: parseInt(frame[3], 10) - 1 };
+        }
+    }
+    return null;
+}
+
+// Jest's test locations are 1-based, in lines and columns alike
+function toPosition(location) {
+    if (!location || typeof location.line !== 'number') return null;
+    return { line: location.line - 1, character: Math.max(0, (location.column || 1) - 1) };
+}
+
+// The assertion message and diff without the "at ..." frames
+function withoutStack(failure) {
+    return failure
+        .split('\n')
+        .filter(line => !/^\s*at /.test(line))
+        .join('\n')
+        .trim();
+}
+
+function stripAnsi(text) {
+    return text.replace(ANSI_PATTERN, '');
+}
+
+function summarizeJestResults(report) {
+    const summary = {
+        success: !!report.success,
+        passed: report.numPassedTests || 0,
+        failed: report.numFailedTests || 0,
+        skipped: (report.numPendingTests || 0) + (report.numTodoTests || 0),
+        total: report.numTotalTests || 0,
+        failedSuites: report.numFailedTestSuites || 0,
+        totalSuites: report.numTotalTestSuites || 0
+    };
+    const parts = [`${summary.passed} passed`];
+    if (summary.failed) parts.unshift(`${summary.failed} failed`);
+    if (summary.skipped) parts.push(`${summary.skipped} skipped`);
+    summary.message = `Tests: ${parts.join(', ')}, ${summary.total} total` +
+        (summary.failedSuites ? ` (${summary.failedSuites} of ${summary.totalSuites} suites failed)` : '');
+    return summary;
+}
+
+/**
+ * Per-file outcomes from the report, for showing results next to the tests:
+ * `{ uri, tests: [{ fullName, status, duration }] }`.
+ */
+function toTestResults(report) {
+    return (report.testResults || []).map(suite => {
+        const tests = (suite.assertionResults || []).map(test => ({
+            fullName: test.fullName || test.title,
+            status: test.status,
+            duration: test.duration || 0
+        }));
+        return { uri: pathToFileURL(path.resolve(suite.name)).href, tests };
+    });
+}
+
+module.exports = { toJestDiagnostics, summarizeJestResults, toTestResults };
@@ -5,6 +5,8 @@ class Logger {
     constructor(component = 'VoltLSP') {
         this.component = component;
         this.logLevel = process.env.VOLT_LSP_LOG_LEVEL || 'info';
+        // Set through the configuration; overrides the level from the environment
+        this.levelOverride = null;
         this.logFile = process.env.VOLT_LSP_LOG_FILE || null;
         this.enableColors = process.env.VOLT_LSP_NO_COLORS !== '1';
         
@@ -58,8 +60,12 @@ class Logger {
         }
     }
 
+    setLevel(level) {
+        this.levelOverride = level in this.levels ? level : null;
+    }
+
     shouldLog(level) {
-        return this.levels[level] <= this.levels[this.logLevel];
+        return this.levels[level] <= this.levels[this.levelOverride || this.logLevel];
     }
 
     formatMessage(level, message, data = null) {
@@ -120,20 +126,8 @@ class Logger {
     writeToConsole(level, message, data = null) {
         const formattedMessage = this.formatConsoleMessage(level, message, data);
         
-        // Use appropriate console method
-        switch (level) {
-            case 'error':
-                console.error(formattedMessage);
-                break;
-            case 'warn':
-                console.warn(formattedMessage);
-                break;
-            case 'debug':
-                console.debug(formattedMessage);
-                break;
-            default:
-                console.log(formattedMessage);
-        }
+        // Always stderr: with the stdio transport, stdout carries protocol messages only
+        process.stderr.write(formattedMessage + '\n');
     }
 
     log(level, message, data = null) {
@@ -1,65 +1,174 @@
 // File: src/lsp-connection.js (Versi Perbaikan Final)
 const EventEmitter = require('events');
 const Logger = require('./logger');
+const { CancellationToken, CancelledError } = require('./cancellation');
+const { MessageReader, encodeMessage } = require('./message-framing');
 
+const ErrorCodes = {
+    InvalidRequest: -32600,
+    MethodNotFound: -32601,
+    InternalError: -32603,
+    RequestCancelled: -32800
+};
+
+// Error response received for a request we sent to the client
+class ResponseError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'ResponseError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+/**
+ * JSON-RPC connection to one client. By default it talks over stdio; pass
+ * `{ input, output }` streams (e.g. both set to a socket) or `{ ipc: true }`
+ * to use Node's IPC channel, which carries message objects without framing.
+ */
 class LSPConnection extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
         this.logger = new Logger('LSPConnection');
-        this.buffer = '';
+        this.input = options.input || process.stdin;
+        this.output = options.output || process.stdout;
+        this.ipc = !!options.ipc;
+        this.closed = false;
+        this.reader = new MessageReader();
+        this.reader.on('message', (message) => this.handleMessage(message));
+        this.reader.on('parseError', (error) => this.logger.error('Error parsing JSON message:', error.message));
+        this.activeRequests = new Map();
+        this.nextRequestId = 0;
+        this.pendingResponses = new Map();
     }
 
     start() {
-        this.logger.info('Starting LSP connection on stdio');
-        process.stdin.setEncoding('utf8');
-        process.stdin.on('data', (chunk) => this.handleIncomingData(chunk));
-        process.stdin.on('end', () => this.emit('exit'));
-    }
-
-    handleIncomingData(chunk) {
-        this.buffer += chunk;
-        while (true) {
-            const headerEndIndex = this.buffer.indexOf('\r\n\r\n');
-            if (headerEndIndex === -1) break;
-            const header = this.buffer.substring(0, headerEndIndex);
-            const contentLengthMatch = header.match(/Content-Length: (\d+)/);
-            if (!contentLengthMatch) {
-                this.buffer = this.buffer.substring(headerEndIndex + 4);
-                continue;
-            }
-            const contentLength = parseInt(contentLengthMatch[1], 10);
-            const messageStart = headerEndIndex + 4;
-            if (this.buffer.length < messageStart + contentLength) break;
-            const messageContent = this.buffer.substring(messageStart, messageStart + contentLength);
-            this.buffer = this.buffer.substring(messageStart + contentLength);
-            try {
-                const message = JSON.parse(messageContent);
-                this.handleMessage(message);
-            } catch (error) {
-                this.logger.error('Error parsing JSON message:', error);
-            }
+        if (this.ipc) {
+            this.logger.info('Starting LSP connection on node-ipc');
+            process.on('message', (message) => this.handleMessage(message));
+            process.on('disconnect', () => this.close());
+            return;
         }
+        this.logger.info('Starting LSP connection on stream');
+        this.input.on('data', (chunk) => this.reader.push(chunk));
+        this.input.on('end', () => this.close());
+        this.input.on('close', () => this.close());
+        this.input.on('error', (error) => this.logger.warn('Connection error:', error.message));
+    }
+
+    // The client went away; treated like an `exit` notification
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.rejectPendingResponses(new Error('Connection closed'));
+        this.emit('exit');
     }
 
     handleMessage(message) {
         this.logger.debug('Received message:', JSON.stringify(message, null, 2));
-        if (message.method) {
-            // **PERUBAHAN PENTING:** Kirim 'id' bersamaan dengan event
-            this.emit(message.method, message.params || {}, message.id);
+        if (message.method === '$/cancelRequest') {
+            const token = this.activeRequests.get(message.params && message.params.id);
+            if (token) token.cancel();
+        } else if (message.method && message.id !== undefined) {
+            this.dispatchRequest(message);
+        } else if (message.method) {
+            this.emit(message.method, message.params || {});
         } else if (message.id !== undefined) {
-            // Penanganan response, jika diperlukan di masa depan
+            this.handleResponse(message);
+        }
+    }
+
+    handleResponse(message) {
+        const pending = this.pendingResponses.get(message.id);
+        if (!pending) {
+            this.logger.warn(`Received response for unknown request ${message.id}`);
+            return;
+        }
+        this.pendingResponses.delete(message.id);
+        clearTimeout(pending.timer);
+
+        if (message.error) {
+            pending.reject(new ResponseError(message.error.code, message.error.message, message.error.data));
+        } else {
+            pending.resolve(message.result === undefined ? null : message.result);
+        }
+    }
+
+    /**
+     * Sends a request to the client and resolves with its result. Requests
+     * that need the user (e.g. window/showMessageRequest) have no timeout
+     * unless one is given.
+     */
+    sendRequest(method, params, options = {}) {
+        return new Promise((resolve, reject) => {
+            const id = ++this.nextRequestId;
+            let timer = null;
+            if (options.timeout) {
+                timer = setTimeout(() => {
+                    this.pendingResponses.delete(id);
+                    reject(new Error(`Request ${method} timed out after ${options.timeout}ms`));
+                }, options.timeout);
+            }
+            this.pendingResponses.set(id, { resolve, reject, timer });
+            this.sendMessage({ jsonrpc: '2.0', id, method, params });
+        });
+    }
+
+    rejectPendingResponses(error) {
+        for (const { reject, timer } of this.pendingResponses.values()) {
+            clearTimeout(timer);
+            reject(error);
+        }
+        this.pendingResponses.clear();
+    }
+
+    // Handlers receive (params, id, token). A handler that throws gets an error
+    // response, so the client is never left waiting on a request.
+    dispatchRequest(message) {
+        const { id, method } = message;
+        const token = new CancellationToken();
+        this.activeRequests.set(id, token);
+
+        if (this.listenerCount(method) === 0) {
+            this.logger.warn(`Unhandled request: ${method}`);
+            this.sendError(id, ErrorCodes.MethodNotFound, `Unhandled method ${method}`);
+            return;
+        }
+
+        for (const handler of this.listeners(method)) {
+            Promise.resolve()
+                .then(() => handler(message.params || {}, id, token))
+                .catch((error) => {
+                    if (error instanceof CancelledError) {
+                        this.sendError(id, ErrorCodes.RequestCancelled, error.message);
+                        return;
+                    }
+                    this.logger.error(`Error handling ${method}:`, error.message);
+                    this.sendError(id, ErrorCodes.InternalError, error.message);
+                });
         }
     }
 
     sendResponse(id, result) {
         // **PERUBAHAN PENTING:** Gunakan 'id' yang diterima, jangan simpan di 'this'
-        if (id === undefined || id === null) return;
-        this.sendMessage({ jsonrpc: '2.0', id, result });
+        this.sendReply(id, { result });
     }
 
     sendError(id, code, message) {
+        this.sendReply(id, { error: { code, message } });
+    }
+
+    // Whatever a handler produces for a request the client has cancelled, the
+    // client only gets RequestCancelled back.
+    sendReply(id, reply) {
         if (id === undefined || id === null) return;
-        this.sendMessage({ jsonrpc: '2.0', id, error: { code, message } });
+        const token = this.activeRequests.get(id);
+        if (!token) return; // Already answered
+        this.activeRequests.delete(id);
+        if (token.isCancellationRequested) {
+            reply = { error: { code: ErrorCodes.RequestCancelled, message: 'Request cancelled' } };
+        }
+        this.sendMessage({ jsonrpc: '2.0', id, ...reply });
     }
 
     sendNotification(method, params = {}) {
@@ -67,15 +176,54 @@ class LSPConnection extends EventEmitter {
     }
 
     sendMessage(message) {
-        const content = JSON.stringify(message);
-        const header = `Content-Length: ${Buffer.byteLength(content, 'utf8')}\r\n\r\n`;
-        this.logger.debug('Sending message:', content);
-        process.stdout.write(header + content);
+        this.logger.debug('Sending message:', JSON.stringify(message));
+        if (this.closed) return;
+        if (this.ipc) process.send(message);
+        else this.output.write(encodeMessage(message));
     }
 
     sendDiagnostics(uri, diagnostics = []) {
         this.sendNotification('textDocument/publishDiagnostics', { uri, diagnostics });
     }
+
+    // type: 1 = Error, 2 = Warning, 3 = Info, 4 = Log
+    showMessage(type, message) {
+        this.sendNotification('window/showMessage', { type, message });
+    }
+
+    // Resolves with the title of the action the user picked, or null if dismissed
+    async showMessageRequest(type, message, actions = []) {
+        const choice = await this.sendRequest('window/showMessageRequest', {
+            type,
+            message,
+            actions: actions.map(title => ({ title }))
+        });
+        return choice ? choice.title : null;
+    }
+
+    async applyEdit(edit, label) {
+        const result = await this.sendRequest('workspace/applyEdit', { label, edit });
+        return !!(result && result.applied);
+    }
+
+    createWorkDoneProgress(token) {
+        return this.sendRequest('window/workDoneProgress/create', { token });
+    }
+
+    getConfiguration(items) {
+        return this.sendRequest('workspace/configuration', { items });
+    }
+
+    registerCapability(registrations) {
+        return this.sendRequest('client/registerCapability', { registrations });
+    }
+
+    unregisterCapability(unregisterations) {
+        // The misspelling is part of the LSP specification
+        return this.sendRequest('client/unregisterCapability', { unregisterations });
+    }
 }
 
 module.exports = LSPConnection;
+module.exports.ErrorCodes = ErrorCodes;
+module.exports.ResponseError = ResponseError;
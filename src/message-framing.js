@@ -0,0 +1,82 @@
+const EventEmitter = require('events');
+
+const HEADER_SEPARATOR = Buffer.from('\r\n\r\n', 'ascii');
+
+/**
+ * Reads `Content-Length` framed JSON messages from a byte stream. Both the
+ * editor and tsserver (on its stdout) speak this format; lengths are byte
+ * counts, so chunks are kept as Buffers and only decoded once a whole body
+ * has arrived. Emits 'message' for each parsed message and 'parseError' for
+ * bodies that are not valid JSON.
+ */
+class MessageReader extends EventEmitter {
+    constructor() {
+        super();
+        this.buffer = Buffer.alloc(0);
+        this.contentLength = -1;
+    }
+
+    push(chunk) {
+        const data = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk;
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, data]) : data;
+
+        while (true) {
+            if (this.contentLength === -1 && !this.readHeaders()) return;
+            if (this.buffer.length < this.contentLength) return;
+
+            const body = this.buffer.subarray(0, this.contentLength).toString('utf8');
+            this.buffer = this.buffer.subarray(this.contentLength);
+            this.contentLength = -1;
+
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                this.emit('parseError', error, body);
+                continue;
+            }
+            this.emit('message', message);
+        }
+    }
+
+    // Consumes one header block; returns false when it hasn't fully arrived yet
+    readHeaders() {
+        while (true) {
+            // tsserver terminates each body with a newline that some versions leave out of the count
+            let start = 0;
+            while (start < this.buffer.length && (this.buffer[start] === 0x0d || this.buffer[start] === 0x0a)) start++;
+            if (start > 0) this.buffer = this.buffer.subarray(start);
+
+            const headerEnd = this.buffer.indexOf(HEADER_SEPARATOR);
+            if (headerEnd === -1) return false;
+
+            const headers = parseHeaders(this.buffer.subarray(0, headerEnd).toString('ascii'));
+            this.buffer = this.buffer.subarray(headerEnd + HEADER_SEPARATOR.length);
+
+            const contentLength = parseInt(headers['content-length'], 10);
+            if (Number.isNaN(contentLength) || contentLength < 0) {
+                this.emit('parseError', new Error('Missing Content-Length header'), '');
+                continue;
+            }
+            this.contentLength = contentLength;
+            return true;
+        }
+    }
+}
+
+function parseHeaders(block) {
+    const headers = {};
+    for (const line of block.split('\r\n')) {
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+        headers[line.substring(0, separator).trim().toLowerCase()] = line.substring(separator + 1).trim();
+    }
+    return headers;
+}
+
+function encodeMessage(message) {
+    const body = Buffer.from(JSON.stringify(message), 'utf8');
+    return Buffer.concat([Buffer.from(`Content-Length: ${body.length}\r\n\r\n`, 'ascii'), body]);
+}
+
+module.exports = { MessageReader, encodeMessage, parseHeaders };
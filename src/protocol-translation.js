@@ -0,0 +1,452 @@
+// Helpers for converting between tsserver protocol shapes (1-based line/offset)
+// and LSP shapes (0-based line/character).
+
+const CompletionItemKind = {
+    Text: 1, Method: 2, Function: 3, Constructor: 4, Field: 5, Variable: 6, Class: 7,
+    Interface: 8, Module: 9, Property: 10, Unit: 11, Value: 12, Enum: 13, Keyword: 14,
+    Snippet: 15, Color: 16, File: 17, Reference: 18, Folder: 19, EnumMember: 20,
+    Constant: 21, Struct: 22, Event: 23, Operator: 24, TypeParameter: 25
+};
+
+const InsertTextFormat = { PlainText: 1, Snippet: 2 };
+const CompletionItemTag = { Deprecated: 1 };
+
+// tsserver ScriptElementKind -> LSP CompletionItemKind
+const completionKinds = {
+    'primitive type': CompletionItemKind.Keyword,
+    'keyword': CompletionItemKind.Keyword,
+    'const': CompletionItemKind.Constant,
+    'let': CompletionItemKind.Variable,
+    'var': CompletionItemKind.Variable,
+    'local var': CompletionItemKind.Variable,
+    'using': CompletionItemKind.Variable,
+    'await using': CompletionItemKind.Variable,
+    'alias': CompletionItemKind.Variable,
+    'parameter': CompletionItemKind.Variable,
+    'property': CompletionItemKind.Field,
+    'getter': CompletionItemKind.Field,
+    'setter': CompletionItemKind.Field,
+    'accessor': CompletionItemKind.Property,
+    'JSX attribute': CompletionItemKind.Property,
+    'function': CompletionItemKind.Function,
+    'local function': CompletionItemKind.Function,
+    'method': CompletionItemKind.Method,
+    'construct': CompletionItemKind.Method,
+    'call': CompletionItemKind.Method,
+    'index': CompletionItemKind.Method,
+    'constructor': CompletionItemKind.Constructor,
+    'enum': CompletionItemKind.Enum,
+    'enum member': CompletionItemKind.EnumMember,
+    'module': CompletionItemKind.Module,
+    'external module name': CompletionItemKind.Module,
+    'class': CompletionItemKind.Class,
+    'local class': CompletionItemKind.Class,
+    'type': CompletionItemKind.Class,
+    'interface': CompletionItemKind.Interface,
+    'type parameter': CompletionItemKind.TypeParameter,
+    'warning': CompletionItemKind.Text,
+    'script': CompletionItemKind.File,
+    'directory': CompletionItemKind.Folder,
+    'string': CompletionItemKind.Constant,
+    'label': CompletionItemKind.Text
+};
+
+const SymbolKind = {
+    File: 1, Module: 2, Namespace: 3, Package: 4, Class: 5, Method: 6, Property: 7,
+    Field: 8, Constructor: 9, Enum: 10, Interface: 11, Function: 12, Variable: 13,
+    Constant: 14, String: 15, Number: 16, Boolean: 17, Array: 18, Object: 19, Key: 20,
+    Null: 21, EnumMember: 22, Struct: 23, Event: 24, Operator: 25, TypeParameter: 26
+};
+
+const SymbolTag = { Deprecated: 1 };
+
+// tsserver ScriptElementKind -> LSP SymbolKind
+const symbolKinds = {
+    'module': SymbolKind.Module,
+    'external module name': SymbolKind.Module,
+    'class': SymbolKind.Class,
+    'local class': SymbolKind.Class,
+    'interface': SymbolKind.Interface,
+    'type': SymbolKind.Class,
+    'enum': SymbolKind.Enum,
+    'enum member': SymbolKind.EnumMember,
+    'var': SymbolKind.Variable,
+    'local var': SymbolKind.Variable,
+    'let': SymbolKind.Variable,
+    'using': SymbolKind.Variable,
+    'await using': SymbolKind.Variable,
+    'const': SymbolKind.Constant,
+    'function': SymbolKind.Function,
+    'local function': SymbolKind.Function,
+    'method': SymbolKind.Method,
+    'getter': SymbolKind.Property,
+    'setter': SymbolKind.Property,
+    'property': SymbolKind.Property,
+    'accessor': SymbolKind.Property,
+    'constructor': SymbolKind.Constructor,
+    'call': SymbolKind.Method,
+    'index': SymbolKind.Method,
+    'construct': SymbolKind.Method,
+    'parameter': SymbolKind.Variable,
+    'type parameter': SymbolKind.TypeParameter,
+    'alias': SymbolKind.Variable,
+    'script': SymbolKind.File,
+    'string': SymbolKind.String
+};
+
+// Order matches TypeScript's own classifier (TokenType / TokenModifier in
+// services/classifier2020.ts), so encoded classifications map by index.
+const SemanticTokenTypes = [
+    'class', 'enum', 'interface', 'namespace', 'typeParameter', 'type',
+    'parameter', 'variable', 'enumMember', 'property', 'function', 'method'
+];
+const SemanticTokenModifiers = ['declaration', 'static', 'async', 'readonly', 'defaultLibrary', 'local'];
+
+const InlayHintKind = { Type: 1, Parameter: 2 };
+
+const TOKEN_TYPE_OFFSET = 8;
+const TOKEN_MODIFIER_MASK = (1 << TOKEN_TYPE_OFFSET) - 1;
+
+function toTsLocation(position) {
+    return { line: position.line + 1, offset: position.character + 1 };
+}
+
+function toLspPosition(location) {
+    return { line: location.line - 1, character: location.offset - 1 };
+}
+
+function toLspRange(span) {
+    return { start: toLspPosition(span.start), end: toLspPosition(span.end) };
+}
+
+function displayPartsToString(parts) {
+    if (!parts) return '';
+    if (typeof parts === 'string') return parts;
+    return parts.map(part => part.text).join('');
+}
+
+function toCompletionItemKind(kind) {
+    return completionKinds[kind] || CompletionItemKind.Property;
+}
+
+// Characters that accept the completion and are then typed as usual. Mirrors
+// what VS Code does for TypeScript: nothing is committed while the user may
+// be naming a new identifier.
+function getCommitCharacters(entry, isNewIdentifierLocation) {
+    if (entry.commitCharacters) return entry.commitCharacters;
+    if (isNewIdentifierLocation) return undefined;
+
+    const commitCharacters = ['.', ',', ';'];
+    const kind = toCompletionItemKind(entry.kind);
+    if (kind === CompletionItemKind.Function || kind === CompletionItemKind.Method) {
+        commitCharacters.push('(');
+    }
+    return commitCharacters;
+}
+
+// `${1:name}` keeps its placeholder text; tab stops and escapes go
+function snippetToPlainText(snippet) {
+    return snippet
+        .replace(/\$\{\d+:([^}]*)\}/g, '$1')
+        .replace(/\$\{\d+\}|\$\d+/g, '')
+        .replace(/\\([$}\\])/g, '$1');
+}
+
+/**
+ * Converts one entry of a tsserver `completionInfo` response into an LSP
+ * CompletionItem. `file` and `location` are stored in `data` so that
+ * `completionItem/resolve` can ask tsserver for the entry details later.
+ * Snippets are sent as plain text unless `options.snippetSupport` is set.
+ */
+function toCompletionItem(entry, body, file, location, options = {}) {
+    const modifiers = (entry.kindModifiers || '').split(',');
+    const isOptional = modifiers.includes('optional');
+    const isSnippet = !!entry.isSnippet && !!options.snippetSupport;
+    let insertText = entry.insertText || (isOptional ? entry.name : undefined);
+    if (entry.isSnippet && !isSnippet && insertText) insertText = snippetToPlainText(insertText);
+
+    const item = {
+        label: isOptional ? `${entry.name}?` : entry.name,
+        kind: toCompletionItemKind(entry.kind),
+        sortText: entry.sortText,
+        filterText: entry.filterText,
+        preselect: entry.isRecommended || undefined,
+        commitCharacters: getCommitCharacters(entry, body.isNewIdentifierLocation),
+        data: {
+            file,
+            line: location.line,
+            offset: location.offset,
+            entryNames: [entry.source || entry.data
+                ? { name: entry.name, source: entry.source, data: entry.data }
+                : entry.name]
+        }
+    };
+
+    if (entry.sourceDisplay) {
+        item.labelDetails = { description: displayPartsToString(entry.sourceDisplay) };
+    }
+    if (isSnippet) {
+        item.insertTextFormat = InsertTextFormat.Snippet;
+    }
+    if (modifiers.includes('deprecated')) {
+        item.tags = [CompletionItemTag.Deprecated];
+    }
+
+    const replacementSpan = entry.replacementSpan || body.optionalReplacementSpan;
+    if (replacementSpan) {
+        item.textEdit = { range: toLspRange(replacementSpan), newText: insertText || entry.name };
+    } else if (insertText) {
+        item.insertText = insertText;
+    }
+
+    return item;
+}
+
+function toSymbolKind(kind) {
+    return symbolKinds[kind] || SymbolKind.Variable;
+}
+
+function isDeprecated(kindModifiers) {
+    return (kindModifiers || '').split(',').includes('deprecated');
+}
+
+function comparePositions(a, b) {
+    return a.line - b.line || a.character - b.character;
+}
+
+// Import aliases and anonymous functions/classes only add noise to the outline
+function shouldIncludeNavigationItem(item) {
+    if (item.kind === 'alias') return false;
+    return !!item.text && item.text !== '<function>' && item.text !== '<class>';
+}
+
+/**
+ * Converts a tsserver `navtree` item (and its children) into LSP
+ * DocumentSymbols. An item declared in several places yields one symbol
+ * per span, as VS Code does for merged declarations.
+ */
+function toDocumentSymbols(item) {
+    const children = [];
+    for (const child of item.childItems || []) {
+        children.push(...toDocumentSymbols(child));
+    }
+    if (!shouldIncludeNavigationItem(item)) return [];
+
+    return item.spans.map(span => {
+        const range = toLspRange(span);
+        // nameSpan is shared between spans; fall back to the span start when it lies outside
+        let selectionRange = item.nameSpan ? toLspRange(item.nameSpan) : { start: range.start, end: range.start };
+        if (comparePositions(selectionRange.start, range.start) < 0 || comparePositions(selectionRange.end, range.end) > 0) {
+            selectionRange = { start: range.start, end: range.start };
+        }
+
+        const symbol = {
+            name: item.text,
+            kind: toSymbolKind(item.kind),
+            range,
+            selectionRange,
+            children: children.filter(c => comparePositions(c.range.start, range.start) >= 0 && comparePositions(c.range.end, range.end) <= 0)
+        };
+        if (isDeprecated(item.kindModifiers)) symbol.tags = [SymbolTag.Deprecated];
+        return symbol;
+    });
+}
+
+function formatExample(text) {
+    const captionMatch = text.match(/^\s*<caption>([\s\S]*?)<\/caption>\s*(\r\n|\n)?/);
+    const caption = captionMatch ? captionMatch[1] : '';
+    const code = captionMatch ? text.substring(captionMatch[0].length) : text;
+    // Examples that already contain a fence are left as the author wrote them
+    const body = /^\s*```/m.test(code) ? code : '```typescript\n' + code + '\n```';
+    return '*@example*' + (caption ? ` — ${caption}` : '') + '\n' + body;
+}
+
+function formatTag(tag) {
+    const text = displayPartsToString(tag.text).trim();
+
+    switch (tag.name) {
+        case 'param':
+        case 'arg':
+        case 'argument': {
+            const match = text.match(/^(\S+)\s*-?\s*([\s\S]*)$/);
+            if (!match) return `*@param*`;
+            return `*@param* \`${match[1]}\`` + (match[2] ? ` — ${match[2]}` : '');
+        }
+        case 'return':
+        case 'returns':
+            return '*@returns*' + (text ? ` — ${text}` : '');
+        case 'deprecated':
+            return '**@deprecated**' + (text ? ` — ${text}` : '');
+        case 'example':
+            return formatExample(text);
+        default:
+            return `*@${tag.name}*` + (text ? ` — ${text}` : '');
+    }
+}
+
+function toMarkdownDocumentation(documentation, tags = []) {
+    const parts = [];
+    const docText = displayPartsToString(documentation);
+    if (docText) parts.push(docText);
+    if (tags && tags.length > 0) parts.push(tags.map(formatTag).join('\n\n'));
+    if (parts.length === 0) return undefined;
+    return { kind: 'markdown', value: parts.join('\n\n') };
+}
+
+/**
+ * Converts a tsserver `quickinfo` body into an LSP Hover with a fenced
+ * signature followed by the documentation and JSDoc tags.
+ */
+function toHover(body) {
+    if (!body) return null;
+
+    const sections = [];
+    if (body.displayString) {
+        sections.push('```typescript\n' + body.displayString + '\n```');
+    }
+    const documentation = toMarkdownDocumentation(body.documentation, body.tags);
+    if (documentation) {
+        sections.push(documentation.value);
+    }
+    if (sections.length === 0) return null;
+
+    return {
+        contents: { kind: 'markdown', value: sections.join('\n\n---\n\n') },
+        range: body.start && body.end ? toLspRange(body) : undefined
+    };
+}
+
+function toParameterInformation(parameter, start, end) {
+    const information = { label: [start, end] };
+    const documentation = toMarkdownDocumentation(parameter.documentation);
+    if (documentation) information.documentation = documentation;
+    return information;
+}
+
+function toSignatureInformation(item) {
+    let label = displayPartsToString(item.prefixDisplayParts);
+    const separator = displayPartsToString(item.separatorDisplayParts);
+    const parameters = [];
+
+    item.parameters.forEach((parameter, index) => {
+        if (index > 0) label += separator;
+        const text = displayPartsToString(parameter.displayParts);
+        parameters.push(toParameterInformation(parameter, label.length, label.length + text.length));
+        label += text;
+    });
+    label += displayPartsToString(item.suffixDisplayParts);
+
+    const signature = { label, parameters };
+    const documentation = toMarkdownDocumentation(item.documentation, item.tags);
+    if (documentation) signature.documentation = documentation;
+    return signature;
+}
+
+/**
+ * Converts a tsserver `signatureHelp` body into LSP SignatureHelp. Parameter
+ * labels are emitted as [start, end] offsets into the signature label so the
+ * client can highlight them without searching for the text.
+ */
+function toSignatureHelp(body) {
+    if (!body || !body.items || body.items.length === 0) return null;
+
+    const signatures = body.items.map(toSignatureInformation);
+    const activeSignature = Math.max(0, Math.min(body.selectedItemIndex, signatures.length - 1));
+    const activeItem = body.items[activeSignature];
+
+    let activeParameter = body.argumentIndex;
+    if (activeItem.isVariadic && activeItem.parameters.length > 0) {
+        activeParameter = Math.min(activeParameter, activeItem.parameters.length - 1);
+    }
+    signatures[activeSignature].activeParameter = activeParameter;
+
+    return { signatures, activeSignature, activeParameter };
+}
+
+/**
+ * Decodes tsserver's `encodedSemanticClassifications-full` spans (triples of
+ * offset, length, classification in the "2020" format) into the LSP
+ * delta-encoded token array. Tokens that cross a line break are split, since
+ * LSP tokens may not span lines.
+ */
+function toSemanticTokens(spans, document) {
+    const data = [];
+    let previousLine = 0;
+    let previousCharacter = 0;
+
+    const push = (line, character, length, tokenType, tokenModifiers) => {
+        const deltaLine = line - previousLine;
+        const deltaCharacter = deltaLine === 0 ? character - previousCharacter : character;
+        data.push(deltaLine, deltaCharacter, length, tokenType, tokenModifiers);
+        previousLine = line;
+        previousCharacter = character;
+    };
+
+    for (let i = 0; i + 2 < spans.length; i += 3) {
+        const offset = spans[i];
+        const length = spans[i + 1];
+        const classification = spans[i + 2];
+
+        const tokenType = (classification >> TOKEN_TYPE_OFFSET) - 1;
+        if (tokenType < 0 || tokenType >= SemanticTokenTypes.length) continue;
+        const tokenModifiers = classification & TOKEN_MODIFIER_MASK;
+
+        const start = document.positionAt(offset);
+        const end = document.positionAt(offset + length);
+        if (start.line === end.line) {
+            push(start.line, start.character, length, tokenType, tokenModifiers);
+            continue;
+        }
+
+        for (let line = start.line; line <= end.line; line++) {
+            const character = line === start.line ? start.character : 0;
+            const lineEnd = line === end.line
+                ? end.character
+                : document.getText({ start: { line, character: 0 }, end: { line: line + 1, character: 0 } }).replace(/\r?\n$/, '').length;
+            if (lineEnd > character) push(line, character, lineEnd - character, tokenType, tokenModifiers);
+        }
+    }
+
+    return { data };
+}
+
+function toInlayHint(hint) {
+    return {
+        position: toLspPosition(hint.position),
+        label: hint.displayParts ? displayPartsToString(hint.displayParts) : hint.text,
+        // tsserver's 'Enum' hints (member values) have no LSP counterpart
+        kind: hint.kind === 'Type' ? InlayHintKind.Type : hint.kind === 'Parameter' ? InlayHintKind.Parameter : undefined,
+        paddingLeft: hint.whitespaceBefore || undefined,
+        paddingRight: hint.whitespaceAfter || undefined
+    };
+}
+
+function toTextEdit(change) {
+    return { range: toLspRange(change), newText: change.newText };
+}
+
+module.exports = {
+    CompletionItemKind,
+    InsertTextFormat,
+    CompletionItemTag,
+    SymbolKind,
+    SymbolTag,
+    SemanticTokenTypes,
+    SemanticTokenModifiers,
+    InlayHintKind,
+    toTsLocation,
+    toLspPosition,
+    toLspRange,
+    displayPartsToString,
+    toCompletionItemKind,
+    toCompletionItem,
+    toSymbolKind,
+    isDeprecated,
+    toDocumentSymbols,
+    toMarkdownDocumentation,
+    toHover,
+    toSignatureHelp,
+    toSemanticTokens,
+    toInlayHint,
+    toTextEdit
+};
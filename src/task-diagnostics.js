@@ -0,0 +1,83 @@
+const { pathToFileURL } = require('url');
+
+/**
+ * Feeds diagnostics parsed from task output into the DiagnosticStore.
+ * Results show up while the task runs; when it finishes, its sources are
+ * reconciled so problems fixed since the previous run disappear. A task
+ * that reported nothing this time still clears what it reported last time.
+ * Watch tasks are reconciled the same way at the end of every watch cycle.
+ * A Jest run scoped to one file or block only reconciles the test files it
+ * reported, keeping the failures of tests it skipped.
+ */
+class TaskDiagnostics {
+    constructor(store) {
+        this.store = store;
+        this.lastSources = new Map(); // "<folder>:<task>" -> sources reported by the previous run
+    }
+
+    attach(taskRunner) {
+        const runs = new Map();
+        const folderUri = pathToFileURL(taskRunner.rootPath).href;
+        const inFolder = (uri) => uri.startsWith(`${folderUri}/`);
+
+        taskRunner.on('taskStarted', ({ taskId, label }) => {
+            runs.set(taskId, { key: `${taskRunner.rootPath}:${label}`, collected: new Map(), scopes: new Map() });
+        });
+
+        taskRunner.on('testResults', ({ taskId, files, scoped }) => {
+            const run = runs.get(taskId);
+            if (!run || !scoped) return;
+            const uris = new Set(files.map(file => file.uri));
+            run.scopes.set('jest', (uri) => uris.has(uri));
+            // Start each file from the failures of the tests this run skipped
+            const byUri = new Map();
+            for (const { uri, tests } of files) {
+                const skipped = new Set(tests
+                    .filter(test => test.status !== 'passed' && test.status !== 'failed')
+                    .map(test => test.fullName));
+                const kept = this.store.getSource(uri, 'jest').filter(diagnostic => diagnostic.data && skipped.has(diagnostic.data.test));
+                if (kept.length > 0) byUri.set(uri, kept);
+            }
+            run.collected.set('jest', byUri);
+        });
+
+        taskRunner.on('diagnostic', ({ taskId, source, uri, diagnostic }) => {
+            const run = runs.get(taskId);
+            if (!run) return;
+            if (!run.collected.has(source)) run.collected.set(source, new Map());
+            const byUri = run.collected.get(source);
+            // The first result for a file in this run replaces the previous run's
+            const diagnostics = (byUri.get(uri) || []).concat(diagnostic);
+            byUri.set(uri, diagnostics);
+            this.store.set(uri, source, diagnostics);
+        });
+
+        const reconcile = (run) => {
+            const sources = new Set([...(this.lastSources.get(run.key) || []), ...run.collected.keys()]);
+            for (const source of sources) {
+                this.store.replaceSource(source, run.collected.get(source) || new Map(), run.scopes.get(source) || inFolder);
+            }
+            // A scoped run's results say nothing about what its next run may clear
+            this.lastSources.set(run.key, new Set(Array.from(run.collected.keys()).filter(source => !run.scopes.has(source))));
+        };
+
+        taskRunner.on('taskCycle', ({ taskId }) => {
+            const run = runs.get(taskId);
+            if (!run) return;
+            reconcile(run);
+            // The next cycle starts from scratch
+            run.collected = new Map();
+            run.scopes = new Map();
+        });
+
+        taskRunner.on('taskEnded', ({ taskId, cancelled }) => {
+            const run = runs.get(taskId);
+            runs.delete(taskId);
+            // A cancelled run says nothing about the files it didn't get to
+            if (!run || cancelled) return;
+            reconcile(run);
+        });
+    }
+}
+
+module.exports = TaskDiagnostics;
@@ -0,0 +1,148 @@
+const Logger = require('./logger');
+
+const MessageType = { Log: 4 };
+
+// Progress notifications are cheap for us but not for a phone-sized editor UI
+const REPORT_INTERVAL_MS = 250;
+const MAX_MESSAGE_LENGTH = 100;
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+/**
+ * Pulls a progress hint out of one line of task output: an explicit
+ * percentage ("transforming (42%)"), a Jest "3 of 10 total" counter or a
+ * "[3/10]" step counter. The line itself becomes the progress message.
+ */
+function parseProgress(rawLine) {
+    const line = rawLine.replace(ANSI_PATTERN, '').trim();
+    if (!line) return null;
+
+    const progress = { message: line.length > MAX_MESSAGE_LENGTH ? `${line.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : line };
+    const percent = line.match(/(\d{1,3}(?:\.\d+)?)\s*%/);
+    const counter = line.match(/(\d+) of (\d+) total/) || line.match(/[[(](\d+)\s*\/\s*(\d+)[\])]/);
+
+    if (percent) {
+        progress.percentage = Math.min(100, Math.round(parseFloat(percent[1])));
+    } else if (counter && parseInt(counter[2], 10) > 0) {
+        progress.percentage = Math.min(100, Math.round((parseInt(counter[1], 10) / parseInt(counter[2], 10)) * 100));
+    }
+    return progress;
+}
+
+/**
+ * Shows running tasks in the editor. Each task gets a cancellable
+ * work-done progress (`$/progress`) whose message and percentage follow its
+ * output, and output lines are forwarded as `window/logMessage` or, with
+ * `taskOutput: 'notification'`, as structured `volt/taskOutput` notifications.
+ * Cancelling the progress kills the task.
+ */
+class TaskProgressReporter {
+    constructor(connection) {
+        this.connection = connection;
+        this.logger = new Logger('TaskProgress');
+        this.progressSupported = false;
+        this.outputMode = 'logMessage';
+        this.tokenCounter = 0;
+        this.tasks = new Map(); // progress token -> task entry
+    }
+
+    updateOptions({ progressSupported, taskOutput }) {
+        if (progressSupported !== undefined) this.progressSupported = progressSupported;
+        this.outputMode = taskOutput || 'logMessage';
+    }
+
+    attach(taskRunner) {
+        const active = new Map();
+        taskRunner.on('taskStarted', ({ taskId, label, command }) => {
+            active.set(taskId, this.begin(taskRunner, taskId, label, command));
+        });
+        taskRunner.on('output', ({ taskId, stream, lines }) => {
+            const entry = active.get(taskId);
+            if (entry) this.handleOutput(entry, stream, lines);
+        });
+        taskRunner.on('taskEnded', (result) => {
+            const entry = active.get(result.taskId);
+            active.delete(result.taskId);
+            if (entry) this.end(entry, result);
+        });
+    }
+
+    begin(taskRunner, taskId, label, command) {
+        const entry = {
+            token: `volt-task-${++this.tokenCounter}`,
+            taskRunner,
+            taskId,
+            percentage: 0,
+            lastReportAt: 0,
+            ready: Promise.resolve(false)
+        };
+        if (!this.progressSupported) return entry;
+
+        this.tasks.set(entry.token, entry);
+        entry.ready = this.connection.createWorkDoneProgress(entry.token)
+            .then(() => {
+                this.sendProgress(entry, { kind: 'begin', title: `Volt: ${label}`, message: command, percentage: 0, cancellable: true });
+                return true;
+            })
+            .catch(error => {
+                this.logger.warn(`Client refused progress for ${taskId}:`, error.message);
+                this.tasks.delete(entry.token);
+                return false;
+            });
+        return entry;
+    }
+
+    handleOutput(entry, stream, lines) {
+        if (this.outputMode === 'notification') {
+            this.connection.sendNotification('volt/taskOutput', { taskId: entry.taskId, stream, lines });
+        } else if (this.outputMode === 'logMessage') {
+            const message = lines.map(line => `[${entry.taskId}] ${line}`).join('\n');
+            this.connection.sendNotification('window/logMessage', { type: MessageType.Log, message });
+        }
+
+        let latest = null;
+        for (const line of lines) {
+            const progress = parseProgress(line);
+            if (progress) latest = { ...latest, ...progress };
+        }
+        if (latest) this.report(entry, latest);
+    }
+
+    report(entry, progress) {
+        // Clients expect the bar to only move forward
+        if (progress.percentage !== undefined) entry.percentage = Math.max(entry.percentage, progress.percentage);
+        const now = Date.now();
+        if (now - entry.lastReportAt < REPORT_INTERVAL_MS) return;
+        entry.lastReportAt = now;
+
+        entry.ready.then(started => {
+            if (started) this.sendProgress(entry, { kind: 'report', message: progress.message, percentage: entry.percentage });
+        });
+    }
+
+    end(entry, { code, signal, cancelled, success }) {
+        let message = 'Finished';
+        if (cancelled) message = 'Cancelled';
+        else if (!success) message = code !== null ? `Failed with exit code ${code}` : `Failed (${signal || 'could not start'})`;
+
+        entry.ready.then(started => {
+            this.tasks.delete(entry.token);
+            if (started) this.sendProgress(entry, { kind: 'end', message });
+        });
+    }
+
+    // window/workDoneProgress/cancel from the client
+    handleCancel({ token }) {
+        const entry = this.tasks.get(token);
+        if (!entry) return;
+        this.logger.info(`Cancelling task ${entry.taskId} from the editor`);
+        entry.taskRunner.killTask(entry.taskId);
+    }
+
+    sendProgress(entry, value) {
+        this.connection.sendNotification('$/progress', { token: entry.token, value });
+    }
+}
+
+module.exports = TaskProgressReporter;
+module.exports.parseProgress = parseProgress;
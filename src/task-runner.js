@@ -1,20 +1,55 @@
 const { spawn, exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { pathToFileURL } = require('url');
 const EventEmitter = require('events');
 const Logger = require('./logger');
+const { toJestDiagnostics, summarizeJestResults, toTestResults } = require('./jest-results');
+
+// package.json scripts tried in order for each task kind; the first one present runs
+const DEFAULT_SCRIPTS = {
+    test: ['test', 'test:unit', 'test:watch', 'jest'],
+    build: ['build', 'build:prod', 'compile', 'tsc'],
+    lint: ['lint', 'lint:check', 'eslint']
+};
+
+// Output lines ending a watch cycle; diagnostics printed before them belong to that cycle
+const WATCH_CYCLE_PATTERNS = [
+    /Found \d+ errors?\b.*Watching for file changes/, // tsc --watch
+    /\[nodemon\] (app crashed|clean exit)/
+];
+// Jest rewrites its JSON report after every run in watch mode
+const REPORT_POLL_INTERVAL_MS = 500;
 
 class TaskRunner extends EventEmitter {
-    constructor(rootPath, termuxAPI) {
+    constructor(rootPath, termuxAPI, options = {}) {
         super();
         this.rootPath = rootPath;
         this.termuxAPI = termuxAPI;
         this.logger = new Logger('TaskRunner');
         this.runningTasks = new Map();
+        this.taskInfo = new Map(); // taskId -> { taskId, label, command, startedAt, watch, restart }
+        this.cancelledTasks = new Set();
         this.packageJsonPath = path.join(rootPath, 'package.json');
+        this.updateOptions(options);
         this.loadPackageJson();
     }
 
+    // `scripts.test` etc. may be a single script name or a list of candidates
+    updateOptions(options) {
+        const scripts = options.scripts || {};
+        this.scripts = {};
+        for (const kind of Object.keys(DEFAULT_SCRIPTS)) {
+            const configured = scripts[kind];
+            this.scripts[kind] = configured ? [].concat(configured) : DEFAULT_SCRIPTS[kind];
+        }
+    }
+
+    findScript(kind) {
+        return this.scripts[kind].find(script => this.packageJson?.scripts?.[script]) || null;
+    }
+
     loadPackageJson() {
         try {
             if (fs.existsSync(this.packageJsonPath)) {
@@ -39,7 +74,7 @@ class TaskRunner extends EventEmitter {
         return Object.keys(this.packageJson.scripts);
     }
 
-    async runScript(scriptName, args = []) {
+    async runScript(scriptName, args = [], options = {}) {
         if (!this.packageJson || !this.packageJson.scripts) {
             throw new Error('No package.json or scripts found');
         }
@@ -49,21 +84,31 @@ class TaskRunner extends EventEmitter {
             throw new Error(`Script "${scriptName}" not found in package.json`);
         }
 
-        this.logger.info(`Running script: ${scriptName}`);
-        
         const taskId = `${scriptName}-${Date.now()}`;
+        const taskOptions = {
+            ...options,
+            label: options.label || scriptName,
+            watch: options.watch !== undefined ? options.watch : isWatchCommand(script),
+            restart: options.restart || (() => this.runScript(scriptName, args, options))
+        };
+        if (taskOptions.watch) {
+            return this.startWatchTask(scriptName, script, args, taskId, taskOptions);
+        }
+
+        this.logger.info(`Running script: ${scriptName}`);
         const startTime = Date.now();
 
         try {
-            await this.termuxAPI.notifySuccess('Task Started', `Running ${scriptName}...`);
+            await this.termuxAPI.notifySuccess('Task Started', `Running ${scriptName}...`, 'taskStarted');
 
-            const result = await this.executeScript(script, args, taskId);
+            const result = await this.executeScript(script, args, taskId, taskOptions);
             const duration = Date.now() - startTime;
 
             this.logger.info(`Script "${scriptName}" completed in ${duration}ms`);
             await this.termuxAPI.notifySuccess(
                 'Task Completed', 
-                `${scriptName} finished successfully in ${(duration / 1000).toFixed(1)}s`
+                `${scriptName} finished successfully in ${(duration / 1000).toFixed(1)}s`,
+                'taskCompleted'
             );
 
             this.emit('taskCompleted', {
@@ -80,10 +125,14 @@ class TaskRunner extends EventEmitter {
             const duration = Date.now() - startTime;
             
             this.logger.error(`Script "${scriptName}" failed:`, error);
-            await this.termuxAPI.notifyError(
-                'Task Failed', 
-                `${scriptName} failed: ${error.message}`
-            );
+            // Failing tests are reported by their summary instead
+            if (!(options.failureReported && options.failureReported())) {
+                await this.termuxAPI.notifyError(
+                    'Task Failed', 
+                    `${scriptName} failed: ${error.message}`,
+                    'taskFailed'
+                );
+            }
 
             this.emit('taskFailed', {
                 taskId,
@@ -101,7 +150,35 @@ class TaskRunner extends EventEmitter {
         }
     }
 
-    executeScript(script, args = [], taskId) {
+    /**
+     * Starts a watcher (tsc --watch, jest --watch, nodemon, ...) in the
+     * background and returns right away, since it never exits on its own.
+     * Each watch cycle emits 'taskCycle', so its diagnostics are replaced
+     * rather than piling up until the task ends.
+     */
+    async startWatchTask(scriptName, script, args, taskId, options) {
+        this.logger.info(`Starting watch task: ${scriptName}`);
+        this.executeScript(script, args, taskId, options).catch(async (error) => {
+            if (error.cancelled) return;
+            this.logger.error(`Watch task "${scriptName}" stopped:`, error.message);
+            await this.termuxAPI.notifyError('Task Failed', `${scriptName} stopped: ${error.message}`, 'taskFailed');
+        });
+        await this.termuxAPI.notifySuccess('Task Started', `Watching with ${scriptName}...`, 'taskStarted');
+        return { taskId, watch: true };
+    }
+
+    /**
+     * Runs a shell command in the folder. `options.label` names the task in
+     * progress reports and `options.watch` marks it as a watcher.
+     * `options.onStart(taskId)` runs once the process is spawned and
+     * `options.onExit(taskId, cancelled)` after it exits but before
+     * 'taskEnded', so results it emits belong to this run.
+     * `options.restart()` starts the task again for restartTask; by default
+     * the same command runs under a new id.
+     */
+    executeScript(script, args = [], taskId, options = {}) {
+        const label = options.label || taskId;
+        const restart = options.restart || (() => this.executeScript(script, args, `${label}-${Date.now()}`, options));
         return new Promise((resolve, reject) => {
             // Determine the appropriate command to run the script
             const isWindows = process.platform === 'win32';
@@ -113,39 +190,91 @@ class TaskRunner extends EventEmitter {
             
             this.logger.debug(`Executing: ${fullCommand}`);
 
+            // stdin must not be inherited: it is the editor's protocol stream.
+            // Detached so killTask can stop the whole process group (npm -> node -> workers).
             const child = spawn(shell, [shellFlag, fullCommand], {
                 cwd: this.rootPath,
-                stdio: ['inherit', 'pipe', 'pipe'],
-                env: { ...process.env, NODE_ENV: 'development' }
+                stdio: ['ignore', 'pipe', 'pipe'],
+                detached: !isWindows,
+                // Like `npm run`, let scripts call locally installed binaries
+                env: {
+                    ...process.env,
+                    NODE_ENV: 'development',
+                    PATH: [path.join(this.rootPath, 'node_modules', '.bin'), process.env.PATH].join(path.delimiter)
+                }
             });
 
             this.runningTasks.set(taskId, child);
+            this.taskInfo.set(taskId, { taskId, label, command: fullCommand, startedAt: Date.now(), watch: !!options.watch, restart });
+            this.emit('taskStarted', { taskId, label, command: fullCommand, cwd: this.rootPath });
+            if (options.onStart) options.onStart(taskId);
 
             let stdout = '';
             let stderr = '';
+            const partialLines = { stdout: '', stderr: '' };
+
+            // Complete lines go out as 'output' events as soon as they arrive
+            // Parsers see whole lines too, so a diagnostic split across chunks isn't lost
+            const handleLines = (stream, lines) => {
+                this.emit('output', { taskId, stream, lines });
+                let from = 0;
+                lines.forEach((line, index) => {
+                    if (!WATCH_CYCLE_PATTERNS.some(pattern => pattern.test(line))) return;
+                    this.parseOutput(taskId, lines.slice(from, index + 1).join('\n'), stream);
+                    from = index + 1;
+                    this.emit('taskCycle', { taskId, message: line.trim() });
+                });
+                if (from < lines.length) this.parseOutput(taskId, lines.slice(from).join('\n'), stream);
+            };
+            const runExitHook = (cancelled) => {
+                if (!options.onExit) return;
+                try {
+                    options.onExit(taskId, cancelled);
+                } catch (error) {
+                    this.logger.error(`[${taskId}] Failed to process results:`, error.message);
+                }
+            };
+            const emitLines = (stream, chunk) => {
+                const lines = (partialLines[stream] + chunk).split(/\r?\n/);
+                partialLines[stream] = lines.pop();
+                if (lines.length > 0) handleLines(stream, lines);
+            };
+            const flushLines = () => {
+                for (const stream of Object.keys(partialLines)) {
+                    if (partialLines[stream]) handleLines(stream, [partialLines[stream]]);
+                    partialLines[stream] = '';
+                }
+            };
 
-            child.stdout.on('data', (data) => {
-                const chunk = data.toString();
+            child.stdout.setEncoding('utf8');
+            child.stdout.on('data', (chunk) => {
                 stdout += chunk;
                 this.logger.debug(`[${taskId}] stdout:`, chunk);
-                
-                // Parse output for specific patterns
-                this.parseOutput(taskId, chunk, 'stdout');
+                emitLines('stdout', chunk);
             });
 
-            child.stderr.on('data', (data) => {
-                const chunk = data.toString();
+            child.stderr.setEncoding('utf8');
+            child.stderr.on('data', (chunk) => {
                 stderr += chunk;
                 this.logger.debug(`[${taskId}] stderr:`, chunk);
-                
-                // Parse output for specific patterns
-                this.parseOutput(taskId, chunk, 'stderr');
+                emitLines('stderr', chunk);
             });
 
-            child.on('close', (code) => {
+            child.on('close', (code, signal) => {
                 this.runningTasks.delete(taskId);
-                
-                if (code === 0) {
+                this.taskInfo.delete(taskId);
+                flushLines();
+                const cancelled = this.cancelledTasks.delete(taskId);
+                runExitHook(cancelled);
+                this.emit('taskEnded', { taskId, code, signal, cancelled, success: code === 0 });
+
+                if (cancelled) {
+                    const error = new Error('Task cancelled');
+                    error.cancelled = true;
+                    error.stdout = stdout;
+                    error.stderr = stderr;
+                    reject(error);
+                } else if (code === 0) {
                     resolve({
                         code,
                         stdout,
@@ -163,6 +292,9 @@ class TaskRunner extends EventEmitter {
 
             child.on('error', (error) => {
                 this.runningTasks.delete(taskId);
+                this.taskInfo.delete(taskId);
+                runExitHook(false);
+                this.emit('taskEnded', { taskId, code: null, signal: null, cancelled: false, success: false });
                 error.stdout = stdout;
                 error.stderr = stderr;
                 reject(error);
@@ -171,11 +303,6 @@ class TaskRunner extends EventEmitter {
     }
 
     parseOutput(taskId, output, stream) {
-        // Parse Jest test results
-        if (output.includes('FAIL') || output.includes('PASS')) {
-            this.parseJestOutput(taskId, output);
-        }
-        
         // Parse TypeScript compiler output
         if (output.includes('.ts(') && output.includes('error TS')) {
             this.parseTypeScriptOutput(taskId, output);
@@ -192,47 +319,6 @@ class TaskRunner extends EventEmitter {
         }
     }
 
-    parseJestOutput(taskId, output) {
-        const lines = output.split('\n');
-        
-        for (const line of lines) {
-            // Match test failures
-            const failMatch = line.match(/^\s*FAIL\s+(.+)$/);
-            if (failMatch) {
-                this.emit('testResult', {
-                    taskId,
-                    type: 'test-fail',
-                    file: failMatch[1],
-                    message: 'Test failed'
-                });
-                continue;
-            }
-
-            // Match test passes
-            const passMatch = line.match(/^\s*PASS\s+(.+)$/);
-            if (passMatch) {
-                this.emit('testResult', {
-                    taskId,
-                    type: 'test-pass',
-                    file: passMatch[1],
-                    message: 'Test passed'
-                });
-                continue;
-            }
-
-            // Match specific test case failures
-            const testFailMatch = line.match(/\s+●\s+(.+)/);
-            if (testFailMatch) {
-                this.emit('testResult', {
-                    taskId,
-                    type: 'test-case-fail',
-                    testName: testFailMatch[1],
-                    message: 'Test case failed'
-                });
-            }
-        }
-    }
-
     parseTypeScriptOutput(taskId, output) {
         const lines = output.split('\n');
         
@@ -241,14 +327,8 @@ class TaskRunner extends EventEmitter {
             const tsMatch = line.match(/(.+\.tsx?)\((\d+),(\d+)\):\s+(error|warning)\s+TS(\d+):\s+(.+)/);
             if (tsMatch) {
                 const [, file, line, character, severity, code, message] = tsMatch;
-                
-                this.emit('diagnostic', {
-                    taskId,
-                    type: 'typescript',
-                    file: path.resolve(this.rootPath, file),
+                this.emitDiagnostic(taskId, 'tsc', file, line, character, {
                     severity: severity === 'error' ? 1 : 2,
-                    line: parseInt(line) - 1,
-                    character: parseInt(character) - 1,
                     code: `TS${code}`,
                     message: message.trim()
                 });
@@ -264,14 +344,8 @@ class TaskRunner extends EventEmitter {
             const eslintMatch = line.match(/^\s*(.+):(\d+):(\d+)\s+(error|warning)\s+(.+?)\s+(.+)$/);
             if (eslintMatch) {
                 const [, file, line, character, severity, message, rule] = eslintMatch;
-                
-                this.emit('diagnostic', {
-                    taskId,
-                    type: 'eslint',
-                    file: path.resolve(this.rootPath, file),
+                this.emitDiagnostic(taskId, 'eslint', file, line, character, {
                     severity: severity === 'error' ? 1 : 2,
-                    line: parseInt(line) - 1,
-                    character: parseInt(character) - 1,
                     code: rule,
                     message: message.trim()
                 });
@@ -279,6 +353,17 @@ class TaskRunner extends EventEmitter {
         }
     }
 
+    // `line` and `character` are the 1-based strings printed by the tool
+    emitDiagnostic(taskId, source, file, line, character, details) {
+        const position = { line: parseInt(line, 10) - 1, character: parseInt(character, 10) - 1 };
+        this.emit('diagnostic', {
+            taskId,
+            source,
+            uri: pathToFileURL(path.resolve(this.rootPath, file)).href,
+            diagnostic: { range: { start: position, end: position }, source, ...details }
+        });
+    }
+
     parseBuildOutput(taskId, output) {
         // Generic build error parsing
         const lines = output.split('\n');
@@ -294,44 +379,125 @@ class TaskRunner extends EventEmitter {
         }
     }
 
-    async runTest() {
-        const availableTestScripts = ['test', 'test:unit', 'test:watch', 'jest'];
-        let scriptToRun = null;
-
-        for (const script of availableTestScripts) {
-            if (this.packageJson?.scripts?.[script]) {
-                scriptToRun = script;
-                break;
-            }
-        }
+    /**
+     * Runs the test script. `scope.file`, optionally with `scope.testName`
+     * (the full name of a describe or test block), narrows the run to one
+     * file or block; that needs Jest.
+     */
+    async runTest(scope = {}) {
+        const scriptToRun = this.findScript('test');
+        const scopeArgs = jestScopeArgs(scope);
+        const label = scope.file ? `${scriptToRun || 'jest'}: ${scope.testName || path.basename(scope.file)}` : undefined;
+        const restart = () => this.runTest(scope);
 
         if (!scriptToRun) {
             // Try to detect if jest is available globally or in node_modules
             if (await this.isCommandAvailable('jest')) {
-                return this.executeScript('jest', ['--no-watch', '--no-coverage'], 'test-manual');
+                return this.withJestReport((args, options) =>
+                    this.executeScript('jest', ['--no-watch', '--no-coverage', ...args, ...scopeArgs], `test-manual-${Date.now()}`, { ...options, label: label || 'jest', restart }), !!scope.file);
             } else {
                 throw new Error('No test script found. Please add a "test" script to package.json or install Jest.');
             }
         }
 
+        const script = this.packageJson.scripts[scriptToRun];
+        if (isJestCommand(script)) {
+            // A single file or block runs once even if the script watches
+            const watch = isWatchCommand(script) && !scope.file;
+            const runArgs = isWatchCommand(script) && !watch ? ['--no-watch', '--no-watchAll', ...scopeArgs] : scopeArgs;
+            const withReport = watch ? this.watchJestReport : this.withJestReport;
+            return withReport.call(this, (args, options) =>
+                this.runScript(scriptToRun, [...args, ...runArgs], { ...options, label, watch, restart }), !!scope.file);
+        }
+        if (scope.file) {
+            throw new Error(`Running a single test needs Jest, but the "${scriptToRun}" script doesn't run it`);
+        }
         return this.runScript(scriptToRun);
     }
 
-    async runBuild() {
-        const availableBuildScripts = ['build', 'build:prod', 'compile', 'tsc'];
-        let scriptToRun = null;
+    /**
+     * Runs Jest with its JSON reporter, publishes a diagnostic per failed
+     * test and emits 'testSummary' with the counts. `run(args, options)`
+     * starts the actual task with the extra reporter arguments.
+     * Failing tests aren't a failed task: once the report is read the run
+     * resolves with its summary, and only the summary is notified.
+     * `scoped` marks a run limited to one file or block.
+     */
+    async withJestReport(run, scoped = false) {
+        const outputFile = jestReportFile();
+        let summary = null;
+
+        const onExit = (taskId, cancelled) => {
+            if (!cancelled) summary = this.readJestReport(taskId, outputFile, scoped);
+        };
+        const failureReported = () => summary !== null;
 
-        for (const script of availableBuildScripts) {
-            if (this.packageJson?.scripts?.[script]) {
-                scriptToRun = script;
-                break;
+        try {
+            return await run(jestReportArgs(outputFile), { onExit, failureReported });
+        } catch (error) {
+            if (summary) return summary;
+            throw error;
+        } finally {
+            fs.unlink(outputFile, () => { /* not written */ });
+            if (summary) {
+                this.emit('testSummary', summary);
+                const notify = summary.success ? 'notifySuccess' : 'notifyError';
+                await this.termuxAPI[notify](summary.success ? 'Tests Passed' : 'Tests Failed', summary.message, 'testSummary');
             }
         }
+    }
+
+    /**
+     * Jest in watch mode: every rewrite of the JSON report is a watch cycle
+     * with its own diagnostics. A cycle only reruns the tests affected by
+     * what changed, so its report is scoped. Resolves once the watcher is
+     * started.
+     */
+    watchJestReport(run) {
+        const outputFile = jestReportFile();
+
+        const onStart = (taskId) => {
+            fs.watchFile(outputFile, { interval: REPORT_POLL_INTERVAL_MS }, (current, previous) => {
+                if (current.mtimeMs === 0 || current.mtimeMs === previous.mtimeMs) return;
+                try {
+                    const summary = this.readJestReport(taskId, outputFile, true);
+                    if (summary) this.emit('taskCycle', { taskId, message: summary.message });
+                } catch (error) {
+                    // Read while Jest was still writing it; the next poll gets it
+                    this.logger.debug(`[${taskId}] Incomplete Jest report:`, error.message);
+                }
+            });
+        };
+        const onExit = () => {
+            fs.unwatchFile(outputFile);
+            fs.unlink(outputFile, () => { /* not written */ });
+        };
+
+        return run(jestReportArgs(outputFile), { onStart, onExit });
+    }
+
+    /**
+     * Publishes the report's test results, then its diagnostics; returns its
+     * summary. A `scoped` report only speaks for the files in it, and within
+     * them not for the tests it skipped.
+     */
+    readJestReport(taskId, outputFile, scoped = false) {
+        if (!fs.existsSync(outputFile)) return null;
+        const report = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+        this.emit('testResults', { taskId, files: toTestResults(report), scoped });
+        for (const { uri, diagnostic } of toJestDiagnostics(report)) {
+            this.emit('diagnostic', { taskId, source: 'jest', uri, diagnostic });
+        }
+        return summarizeJestResults(report);
+    }
+
+    async runBuild() {
+        const scriptToRun = this.findScript('build');
 
         if (!scriptToRun) {
             // Try to detect if tsc is available
             if (await this.isCommandAvailable('tsc')) {
-                return this.executeScript('tsc', ['--noEmit'], 'build-manual');
+                return this.executeScript('tsc', ['--noEmit'], `build-manual-${Date.now()}`, { label: 'tsc' });
             } else {
                 throw new Error('No build script found. Please add a "build" script to package.json or install TypeScript.');
             }
@@ -341,19 +507,11 @@ class TaskRunner extends EventEmitter {
     }
 
     async runLint() {
-        const availableLintScripts = ['lint', 'lint:check', 'eslint'];
-        let scriptToRun = null;
-
-        for (const script of availableLintScripts) {
-            if (this.packageJson?.scripts?.[script]) {
-                scriptToRun = script;
-                break;
-            }
-        }
+        const scriptToRun = this.findScript('lint');
 
         if (!scriptToRun) {
             if (await this.isCommandAvailable('eslint')) {
-                return this.executeScript('eslint', ['.', '--ext', '.js,.ts,.tsx'], 'lint-manual');
+                return this.executeScript('eslint', ['.', '--ext', '.js,.ts,.tsx'], `lint-manual-${Date.now()}`, { label: 'eslint' });
             } else {
                 throw new Error('No lint script found. Please add a "lint" script to package.json or install ESLint.');
             }
@@ -373,8 +531,15 @@ class TaskRunner extends EventEmitter {
     async killTask(taskId) {
         const task = this.runningTasks.get(taskId);
         if (task) {
-            task.kill('SIGTERM');
+            this.cancelledTasks.add(taskId);
+            try {
+                // Negative pid: the detached shell's whole process group
+                process.kill(process.platform === 'win32' ? task.pid : -task.pid, 'SIGTERM');
+            } catch (error) {
+                task.kill('SIGTERM');
+            }
             this.runningTasks.delete(taskId);
+            this.taskInfo.delete(taskId);
             this.logger.info(`Killed task: ${taskId}`);
             return true;
         }
@@ -392,13 +557,71 @@ class TaskRunner extends EventEmitter {
         return taskIds.length;
     }
 
+    /**
+     * Kills a task and starts it again the way it was started. Resolves like
+     * the new run does, or to null if the task isn't running.
+     */
+    async restartTask(taskId) {
+        const task = this.taskInfo.get(taskId);
+        if (!task) return null;
+        await this.killTask(taskId);
+        this.logger.info(`Restarting task: ${task.label}`);
+        return task.restart();
+    }
+
     getRunningTasks() {
         return Array.from(this.runningTasks.keys());
     }
 
+    // `{ taskId, label, command, startedAt, watch }` for a running task
+    getTaskInfo(taskId) {
+        const task = this.taskInfo.get(taskId);
+        if (!task) return null;
+        const { restart, ...info } = task;
+        return info;
+    }
+
     isTaskRunning(taskId) {
         return this.runningTasks.has(taskId);
     }
 }
 
+// The script's last command is Jest itself, so extra arguments reach it
+function isJestCommand(script) {
+    return /(^|[\s/])jest(\s[^&|;]*)?$/.test(script.trim());
+}
+
+// Watchers never exit on their own. Only known watchers read -w as --watch:
+// npm takes it for a workspace and Jest for its number of workers
+function isWatchCommand(script) {
+    return /(^|\s)--watch(All)?(=true)?(\s|$)|(^|[\s/])nodemon(\s|$)/.test(script) ||
+        /(^|[\s/])(tsc|webpack|mocha|rollup|babel|vite)(\s[^&|;]*)?\s-w(\s|$)/.test(script);
+}
+
+function jestReportFile() {
+    return path.join(os.tmpdir(), `volt-jest-${process.pid}-${Date.now()}.json`);
+}
+
+function jestReportArgs(outputFile) {
+    return ['--json', `--outputFile="${outputFile}"`, '--testLocationInResults'];
+}
+
+// Jest arguments limiting a run to one file, or to one block in it
+function jestScopeArgs({ file, testName }) {
+    if (!file) return [];
+    const args = ['--runTestsByPath', shellQuote(file)];
+    // -t matches "<describe names> <test name>"; the suffix keeps nested blocks in
+    if (testName) args.push('-t', shellQuote(`^${escapeRegExp(testName)}( |$)`));
+    return args;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function shellQuote(value) {
+    return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
 module.exports = TaskRunner;
+module.exports.isWatchCommand = isWatchCommand;
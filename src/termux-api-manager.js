@@ -5,9 +5,20 @@ class TermuxAPIManager {
     constructor() {
         this.logger = new Logger('TermuxAPI');
         this.isAvailable = false;
+        this.notificationSettings = {};
         this.checkAvailability();
     }
 
+    // `{ enabled, ready, taskStarted, taskCompleted, taskFailed, testSummary, tsserver }`, all on unless set to false
+    setNotificationSettings(settings = {}) {
+        this.notificationSettings = settings;
+    }
+
+    isNotificationEnabled(category) {
+        if (this.notificationSettings.enabled === false) return false;
+        return !category || this.notificationSettings[category] !== false;
+    }
+
     async checkAvailability() {
         try {
             await this.executeCommand('termux-notification', ['--help']);
@@ -301,7 +312,8 @@ class TermuxAPIManager {
     }
 
     // Error notification with vibration
-    async notifyError(title, message) {
+    async notifyError(title, message, category) {
+        if (!this.isNotificationEnabled(category)) return;
         await Promise.all([
             this.sendNotification(title, message, 'high'),
             this.vibrate(500),
@@ -310,7 +322,8 @@ class TermuxAPIManager {
     }
 
     // Success notification
-    async notifySuccess(title, message) {
+    async notifySuccess(title, message, category) {
+        if (!this.isNotificationEnabled(category)) return;
         await Promise.all([
             this.sendNotification(title, message, 'default'),
             this.showToast(`✅ ${title}`)
@@ -318,7 +331,8 @@ class TermuxAPIManager {
     }
 
     // Warning notification
-    async notifyWarning(title, message) {
+    async notifyWarning(title, message, category) {
+        if (!this.isNotificationEnabled(category)) return;
         await Promise.all([
             this.sendNotification(title, message, 'default'),
             this.showToast(`⚠️ ${title}`)
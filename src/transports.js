@@ -0,0 +1,99 @@
+const net = require('net');
+const fs = require('fs');
+const Logger = require('./logger');
+
+const logger = new Logger('Transport');
+
+/**
+ * Reads the transport from the command line. Accepts the flags editors pass
+ * to language servers: `--stdio`, `--node-ipc`, `--socket=<port>` (or
+ * `--port=<port>`) and `--pipe=<path>`, plus `--host=<address>` for sockets.
+ * Stdio is the default.
+ */
+function parseTransportArgs(argv) {
+    const transport = { type: 'stdio', host: '127.0.0.1' };
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) continue;
+        const [, name, inline] = match;
+        // Both `--socket=5007` and `--socket 5007` are in use
+        const value = () => (inline !== undefined ? inline : argv[++i]);
+
+        switch (name) {
+            case 'stdio':
+                transport.type = 'stdio';
+                break;
+            case 'node-ipc':
+                transport.type = 'node-ipc';
+                break;
+            case 'socket':
+            case 'port': {
+                const port = parseInt(value(), 10);
+                if (!Number.isInteger(port) || port < 0 || port > 65535) {
+                    throw new Error(`Invalid port for --${name}`);
+                }
+                transport.type = 'socket';
+                transport.port = port;
+                break;
+            }
+            case 'pipe':
+                transport.type = 'pipe';
+                transport.path = value();
+                if (!transport.path) throw new Error('Missing path for --pipe');
+                break;
+            case 'host':
+                transport.host = value();
+                break;
+        }
+    }
+    return transport;
+}
+
+/**
+ * Listens for clients on a TCP port or a Unix domain socket and calls
+ * `onConnection(socket)` for each one, so a single process can serve several
+ * editors at once. Sockets bind to localhost unless `host` says otherwise;
+ * `adb forward` works with that, exposing the server on the LAN needs
+ * `--host=0.0.0.0`.
+ */
+function listen(transport, onConnection) {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer(onConnection);
+        const address = transport.type === 'pipe' ? transport.path : `${transport.host}:${transport.port}`;
+        let retried = false;
+
+        server.on('error', (error) => {
+            // A socket file left behind by a crashed server makes listen() fail
+            if (error.code === 'EADDRINUSE' && transport.type === 'pipe' && !retried) {
+                retried = true;
+                removeStaleSocket(transport.path)
+                    .then(() => server.listen(transport.path))
+                    .catch(() => reject(error));
+                return;
+            }
+            reject(error);
+        });
+        server.on('listening', () => {
+            logger.info(`Listening for clients on ${address}`);
+            resolve(server);
+        });
+
+        if (transport.type === 'pipe') server.listen(transport.path);
+        else server.listen(transport.port, transport.host);
+    });
+}
+
+function removeStaleSocket(socketPath) {
+    return new Promise((resolve, reject) => {
+        const probe = net.connect(socketPath);
+        probe.on('connect', () => {
+            probe.destroy();
+            reject(new Error(`Another server is listening on ${socketPath}`));
+        });
+        probe.on('error', () => {
+            fs.unlink(socketPath, (error) => (error ? reject(error) : resolve()));
+        });
+    });
+}
+
+module.exports = { parseTransportArgs, listen };
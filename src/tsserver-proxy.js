@@ -1,19 +1,173 @@
 // File: src/tsserver-proxy.js (VERSI FINAL)
 const { spawn } = require('child_process');
 const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
 const fs = require('fs');
+const os = require('os');
 const EventEmitter = require('events');
 const Logger = require('./logger');
+const { CancelledError } = require('./cancellation');
+const { MessageReader } = require('./message-framing');
+const {
+    toTsLocation,
+    toLspRange,
+    displayPartsToString,
+    toCompletionItem,
+    toSymbolKind,
+    isDeprecated,
+    SymbolTag,
+    toDocumentSymbols,
+    toMarkdownDocumentation,
+    toHover,
+    toSignatureHelp,
+    toSemanticTokens,
+    toInlayHint,
+    toTextEdit
+} = require('./protocol-translation');
+
+// LSP SignatureHelpTriggerKind values
+const SIGNATURE_HELP_TRIGGER_CHARACTER = 2;
+
+const DIAGNOSTIC_EVENTS = { syntaxDiag: 'syntax', semanticDiag: 'semantic', suggestionDiag: 'suggestion' };
+const DiagnosticSeverity = { Error: 1, Warning: 2, Information: 3, Hint: 4 };
+const DiagnosticTag = { Unnecessary: 1, Deprecated: 2 };
+const DIAGNOSTIC_SEVERITIES = {
+    error: DiagnosticSeverity.Error,
+    warning: DiagnosticSeverity.Warning,
+    message: DiagnosticSeverity.Information,
+    suggestion: DiagnosticSeverity.Hint
+};
+
+// Commands grouped by how long they may reasonably take; each group's
+// timeout can be overridden through the `timeouts` option.
+const COMMAND_TIMEOUT_CLASSES = {
+    completionInfo: 'completion',
+    completionEntryDetails: 'completion',
+    signatureHelp: 'completion',
+    quickinfo: 'completion',
+    formatonkey: 'completion',
+    references: 'projectWide',
+    rename: 'projectWide',
+    navto: 'projectWide',
+    reloadProjects: 'projectWide',
+    implementation: 'projectWide',
+    provideCallHierarchyIncomingCalls: 'projectWide',
+    getCombinedCodeFix: 'projectWide',
+    getEditsForRefactor: 'projectWide',
+    organizeImports: 'projectWide',
+    semanticDiagnosticsSync: 'projectWide'
+};
+
+// A geterr round takes as long as the project needs. It ends with a
+// requestCompleted event, which tsserver also sends when a newer round
+// replaces it, so there's no timeout to cut it short.
+const UNTIMED_COMMANDS = new Set(['geterr']);
+
+// Socket/pipe servers run one proxy per client in the same process
+let proxyCount = 0;
+
+// Crash recovery: give up after MAX_RESTARTS crashes inside CRASH_WINDOW_MS
+const MAX_RESTARTS = 5;
+const CRASH_WINDOW_MS = 3 * 60 * 1000;
+const RESTART_BASE_DELAY_MS = 1000;
+const RESTART_MAX_DELAY_MS = 30000;
+
+// Combined code fixes that `source.fixAll` may apply without asking
+const AUTO_FIXABLE_FIX_IDS = [
+    'fixClassIncorrectlyImplementsInterface',
+    'fixClassDoesntImplementInheritedAbstractMember',
+    'fixAwaitInSyncFunction',
+    'fixUnreachableCode',
+    'fixUnusedLabel'
+];
+
+// Refactors whose edits create a file, which not every client can do
+const NEW_FILE_REFACTORS = ['Move to a new file'];
+
+// Trigger characters tsserver understands in `completionInfo`
+const COMPLETION_TRIGGER_CHARACTERS = ['.', '"', "'", '`', '/', '@', '<', '#', ' '];
+
+const DEFAULT_PREFERENCES = {
+    renameInStrings: false,
+    renameInComments: false
+};
+
+const DEFAULT_INLAY_HINTS = {
+    parameterNames: 'literals', // 'none' | 'literals' | 'all'
+    parameterNamesWhenArgumentMatchesName: false,
+    parameterTypes: false,
+    variableTypes: false,
+    propertyDeclarationTypes: false,
+    returnTypes: false,
+    enumMemberValues: false
+};
+
+const DEFAULT_TIMEOUTS = {
+    completion: 3000,
+    projectWide: 30000,
+    default: 5000
+};
 
 class TSServerProxy extends EventEmitter {
-    constructor(rootPath) {
+    constructor(rootPath, options = {}) {
         super();
         this.rootPath = rootPath;
         this.logger = new Logger('TSServerProxy');
         this.tsserver = null;
+        // tsserver polls for `<prefix><seq>` while working on request <seq>
+        this.cancellationPipePrefix = path.join(os.tmpdir(), `volt-lsp-cancel-${process.pid}-${++proxyCount}-`);
+        this.cancelledRequests = new Set();
         this.requestId = 0;
         this.pendingRequests = new Map();
-        this.buffer = '';
+        this.formatOptions = new Map();
+        this.stopping = false;
+        this.crashTimes = [];
+        this.restartTimer = null;
+        this.snippetSupport = false;
+        this.createFileSupport = false;
+        this.setOptions(options);
+    }
+
+    // What the editor can handle, from its `initialize` capabilities
+    setClientCapabilities(capabilities = {}) {
+        const textDocument = capabilities.textDocument || {};
+        const completionItem = (textDocument.completion && textDocument.completion.completionItem) || {};
+        this.snippetSupport = !!completionItem.snippetSupport;
+        const workspaceEdit = (capabilities.workspace && capabilities.workspace.workspaceEdit) || {};
+        this.createFileSupport = (workspaceEdit.resourceOperations || []).includes('create');
+    }
+
+    setOptions(options) {
+        this.preferences = { ...DEFAULT_PREFERENCES, ...options.preferences };
+        this.inlayHints = { ...DEFAULT_INLAY_HINTS, ...options.inlayHints };
+        this.timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeouts };
+        this.tsserverPath = (options.tsserver && options.tsserver.path) || null;
+        this.tsserverArgs = (options.tsserver && options.tsserver.args) || [];
+    }
+
+    /**
+     * Applies new options to a running server: preferences are re-sent with
+     * `configure`, timeouts apply to the next request, and a different
+     * tsserver path or arguments restarts the process. A server that was
+     * given up on after repeated crashes gets another chance, since the new
+     * options may be what it needed.
+     */
+    updateOptions(options) {
+        const previousCommand = JSON.stringify([this.tsserverPath, this.tsserverArgs]);
+        this.setOptions(options);
+        if (this.hasGivenUp()) {
+            this.logger.info('Options changed, starting TSServer again');
+            this.restart();
+            return;
+        }
+        if (!this.tsserver) return;
+
+        if (JSON.stringify([this.tsserverPath, this.tsserverArgs]) !== previousCommand) {
+            this.logger.info('TSServer command changed, restarting');
+            this.restart();
+        } else {
+            this.configure();
+        }
     }
 
     start() {
@@ -23,13 +177,127 @@ class TSServerProxy extends EventEmitter {
             this.logger.error('TSServer executable not found. Please run: npm install -g typescript');
             return;
         }
-        this.tsserver = spawn('node', [tsserverPath], { stdio: ['pipe', 'pipe', 'pipe'], cwd: this.rootPath });
-        this.tsserver.stdout.on('data', (data) => this.handleTSServerOutput(data));
-        this.tsserver.stderr.on('data', (data) => this.logger.error('TSServer stderr:', data.toString()));
-        this.tsserver.on('exit', (code) => this.logger.warn(`TSServer exited with code ${code}`));
+        this.stopping = false;
+        this.formatOptions.clear();
+
+        const args = [tsserverPath, '--cancellationPipeName', `${this.cancellationPipePrefix}*`, ...this.tsserverArgs];
+        const tsserver = spawn('node', args, { stdio: ['pipe', 'pipe', 'pipe'], cwd: this.rootPath });
+        this.tsserver = tsserver;
+        // A fresh reader per process, so a half-read message from a crashed server can't leak into the next one
+        const reader = new MessageReader();
+        reader.on('message', (message) => this.handleTSServerMessage(message));
+        reader.on('parseError', (error) => this.logger.error('JSON Parse Error:', error.message));
+        tsserver.stdout.on('data', (data) => reader.push(data));
+        tsserver.stderr.on('data', (data) => this.logger.error('TSServer stderr:', data.toString()));
+        tsserver.stdin.on('error', (error) => this.logger.warn('TSServer stdin error:', error.message));
+        tsserver.on('exit', (code, signal) => this.handleTSServerExit(tsserver, code, signal));
+        tsserver.on('error', (error) => {
+            this.logger.error('Failed to run TSServer:', error.message);
+            this.handleTSServerExit(tsserver, null, null);
+        });
+        this.configure();
+    }
+
+    stop() {
+        this.stopping = true;
+        if (this.restartTimer) clearTimeout(this.restartTimer);
+        this.restartTimer = null;
+        if (this.tsserver) this.tsserver.kill();
+    }
+
+    isRunning() {
+        return this.tsserver !== null;
+    }
+
+    hasGivenUp() {
+        return !this.tsserver && !this.stopping && this.crashTimes.length > MAX_RESTARTS;
+    }
+
+    // Manual or configuration-driven restart; the crash history starts over
+    restart() {
+        if (this.restartTimer) clearTimeout(this.restartTimer);
+        this.restartTimer = null;
+        this.crashTimes = [];
+        if (this.tsserver) {
+            // Detach first so the old process's exit isn't mistaken for a crash
+            const previous = this.tsserver;
+            this.tsserver = null;
+            this.rejectPendingRequests(new Error('TSServer restarting'));
+            this.clearCancellations();
+            previous.kill();
+        }
+        this.start();
+        if (this.tsserver) this.emit('restarted');
+    }
+
+    handleTSServerExit(tsserver, code, signal) {
+        // 'error' and 'exit' can both fire for the same process
+        if (this.tsserver !== tsserver) return;
+        this.tsserver = null;
+
+        const reason = signal ? `signal ${signal}` : `code ${code}`;
+        this.rejectPendingRequests(new Error(`TSServer exited with ${reason}`));
+        this.clearCancellations();
+        if (this.stopping) {
+            this.logger.info(`TSServer stopped (${reason})`);
+            return;
+        }
+
+        this.logger.warn(`TSServer exited with ${reason}`);
+        const now = Date.now();
+        this.crashTimes = this.crashTimes.filter(time => now - time < CRASH_WINDOW_MS);
+        this.crashTimes.push(now);
+
+        if (this.crashTimes.length > MAX_RESTARTS) {
+            this.logger.error(`TSServer crashed ${this.crashTimes.length} times in ${CRASH_WINDOW_MS / 1000}s, giving up`);
+            this.emit('giveUp', { code, signal, crashes: this.crashTimes.length });
+            return;
+        }
+
+        // 1s, 2s, 4s, ... capped, so a crash loop doesn't pin the CPU on a phone
+        const delay = Math.min(RESTART_BASE_DELAY_MS * 2 ** (this.crashTimes.length - 1), RESTART_MAX_DELAY_MS);
+        this.emit('crashed', { code, signal, restartIn: delay });
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            this.start();
+            if (this.tsserver) this.emit('restarted');
+        }, delay);
+    }
+
+    rejectPendingRequests(error) {
+        for (const { reject } of this.pendingRequests.values()) {
+            reject(error);
+        }
+        this.pendingRequests.clear();
+    }
+
+    configure() {
+        return this.sendRequest('configure', {
+            preferences: {
+                includeCompletionsForModuleExports: true,
+                includeCompletionsWithInsertText: true,
+                includeCompletionsWithSnippetText: this.snippetSupport,
+                includeAutomaticOptionalChainCompletions: true,
+                includeCompletionsForImportStatements: true,
+                providePrefixAndSuffixTextForRename: true,
+                excludeLibrarySymbolsInNavTo: true,
+                includeInlayParameterNameHints: this.inlayHints.parameterNames,
+                includeInlayParameterNameHintsWhenArgumentMatchesName: this.inlayHints.parameterNamesWhenArgumentMatchesName,
+                includeInlayFunctionParameterTypeHints: this.inlayHints.parameterTypes,
+                includeInlayVariableTypeHints: this.inlayHints.variableTypes,
+                includeInlayPropertyDeclarationTypeHints: this.inlayHints.propertyDeclarationTypes,
+                includeInlayFunctionLikeReturnTypeHints: this.inlayHints.returnTypes,
+                includeInlayEnumMemberValueHints: this.inlayHints.enumMemberValues
+            }
+        }).catch(error => this.logger.error('Failed to configure TSServer:', error.message));
     }
 
     findTSServer() {
+        if (this.tsserverPath) {
+            const configured = path.resolve(this.rootPath, this.tsserverPath);
+            if (fs.existsSync(configured)) return configured;
+            this.logger.warn(`Configured tsserver not found at ${configured}, searching the defaults`);
+        }
         const possiblePaths = [
             path.join(this.rootPath, 'node_modules', 'typescript', 'lib', 'tsserver.js'),
             path.join(__dirname, '..', 'node_modules', 'typescript', 'lib', 'tsserver.js'),
@@ -42,117 +310,584 @@ class TSServerProxy extends EventEmitter {
         return null;
     }
 
-    handleTSServerOutput(data) {
-        this.buffer += data.toString();
-        const responses = this.buffer.split('\r\n\r\n');
-        this.buffer = responses.pop() || '';
-        for (const responseStr of responses) {
-            if (!responseStr.trim()) continue;
-            const headerMatch = responseStr.match(/Content-Length: (\d+)/);
-            if (headerMatch) {
-                const contentLength = parseInt(headerMatch[1], 10);
-                const jsonStr = responseStr.substring(responseStr.indexOf('{'));
-                if (jsonStr.length >= contentLength) {
-                    try {
-                        const message = JSON.parse(jsonStr);
-                        this.handleTSServerMessage(message);
-                    } catch (e) { this.logger.error('JSON Parse Error:', e); }
-                }
-            }
-        }
-    }
-
     handleTSServerMessage(message) {
+        if (message.type === 'response' && this.cancelledRequests.has(message.request_seq)) {
+            this.clearCancellation(message.request_seq);
+        }
         if (message.type === 'response' && this.pendingRequests.has(message.request_seq)) {
             const { resolve, reject } = this.pendingRequests.get(message.request_seq);
             if (message.success) resolve(message.body);
+            // tsserver reports "nothing here" (e.g. no signature at the cursor) as a failure
+            else if (message.message === 'No content available.') resolve(undefined);
             else reject(new Error(message.message));
             this.pendingRequests.delete(message.request_seq);
-        } else if (message.type === 'event' && (message.event === 'semanticDiag' || message.event === 'syntaxDiag' || message.event === 'suggestionDiag')) {
-            // **PERBAIKAN INTI:** Pastikan event diagnostik diproses dan dikirim
+        } else if (message.type === 'event' && DIAGNOSTIC_EVENTS[message.event]) {
             if (message.body && message.body.file) {
-                const diagnostics = message.body.diagnostics.map(diag => ({
-                    range: {
-                        start: { line: diag.start.line - 1, character: diag.start.offset - 1 },
-                        end: { line: diag.end.line - 1, character: diag.end.offset - 1 }
-                    },
-                    severity: diag.category === 'error' ? 1 : 2,
-                    source: 'tsserver',
-                    message: diag.text,
-                    code: diag.code
-                }));
-                this.emit('diagnostics', this.filePathToUri(message.body.file), diagnostics);
+                const kind = DIAGNOSTIC_EVENTS[message.event];
+                const diagnostics = message.body.diagnostics.map(diag => this.toDiagnostic(diag, kind));
+                this.emit('diagnostics', this.filePathToUri(message.body.file), diagnostics, kind);
+            }
+        } else if (message.type === 'event' && message.event === 'requestCompleted') {
+            // geterr has no response of its own; tsserver signals the end of the round instead
+            const seq = message.body && message.body.request_seq;
+            const pending = this.pendingRequests.get(seq);
+            if (pending) {
+                this.pendingRequests.delete(seq);
+                if (this.cancelledRequests.has(seq)) this.clearCancellation(seq);
+                pending.resolve(undefined);
             }
         }
     }
 
-    sendRequest(command, args) {
+    toDiagnostic(diag, kind) {
+        const diagnostic = {
+            range: toLspRange(diag),
+            severity: kind === 'suggestion' ? DiagnosticSeverity.Hint : (DIAGNOSTIC_SEVERITIES[diag.category] || DiagnosticSeverity.Warning),
+            source: 'tsserver',
+            message: diag.text,
+            code: diag.code
+        };
+
+        const tags = [];
+        if (diag.reportsUnnecessary) tags.push(DiagnosticTag.Unnecessary);
+        if (diag.reportsDeprecated) tags.push(DiagnosticTag.Deprecated);
+        if (tags.length > 0) diagnostic.tags = tags;
+
+        if (diag.relatedInformation && diag.relatedInformation.length > 0) {
+            diagnostic.relatedInformation = diag.relatedInformation
+                .filter(info => info.span)
+                .map(info => ({
+                    location: { uri: this.filePathToUri(info.span.file), range: toLspRange(info.span) },
+                    message: info.message
+                }));
+        }
+        return diagnostic;
+    }
+
+    // Re-reads tsconfig/jsconfig files and module resolution, e.g. after `npm install`
+    reloadProjects() {
+        return this.sendRequest('reloadProjects', {});
+    }
+
+    // Starts a diagnostics round; results arrive as syntaxDiag/semanticDiag/suggestionDiag events
+    requestDiagnostics(uris, delay = 0) {
+        return this.sendRequest('geterr', { files: uris.map(uri => this.uriToFilePath(uri)), delay });
+    }
+
+    /**
+     * Sends a request to tsserver. `token` is the CancellationToken of the LSP
+     * request being served, if any: a cancelled request is rejected with
+     * CancelledError right away and tsserver is told to abandon it.
+     */
+    sendRequest(command, args, token) {
         return new Promise((resolve, reject) => {
+            if (!this.tsserver) {
+                reject(new Error(`TSServer is not running (${command})`));
+                return;
+            }
+            if (token && token.isCancellationRequested) {
+                reject(new CancelledError());
+                return;
+            }
+
             const seq = ++this.requestId;
-            this.pendingRequests.set(seq, { resolve, reject });
+            let timer = null;
+            const onCancelled = () => {
+                const pending = this.pendingRequests.get(seq);
+                this.cancelRequest(seq);
+                if (pending) pending.reject(new CancelledError());
+            };
+            const settle = (callback) => (value) => {
+                clearTimeout(timer);
+                if (token) token.removeListener('cancelled', onCancelled);
+                callback(value);
+            };
+            this.pendingRequests.set(seq, { resolve: settle(resolve), reject: settle(reject) });
+            if (token) token.once('cancelled', onCancelled);
+
             const request = { seq, type: 'request', command, arguments: args };
-            this.tsserver.stdin.write(`Content-Length: ${JSON.stringify(request).length}\r\n\r\n${JSON.stringify(request)}`);
-            setTimeout(() => {
-                if (this.pendingRequests.has(seq)) {
-                    reject(new Error(`Request ${seq} (${command}) timed out`));
-                    this.pendingRequests.delete(seq);
-                }
-            }, 5000);
+            // tsserver answers with Content-Length framing but reads one JSON request per line
+            this.tsserver.stdin.write(JSON.stringify(request) + '\n');
+
+            if (UNTIMED_COMMANDS.has(command)) return;
+            const timeout = this.timeouts[COMMAND_TIMEOUT_CLASSES[command] || 'default'];
+            timer = setTimeout(() => {
+                const pending = this.pendingRequests.get(seq);
+                if (!pending) return;
+                this.cancelRequest(seq);
+                pending.reject(new Error(`Request ${seq} (${command}) timed out after ${timeout}ms`));
+            }, timeout);
         });
     }
 
-    filePathToUri(filePath) { return 'file://' + path.resolve(filePath).replace(/\\/g, '/'); }
+    // Forget the request locally and create its cancellation file so tsserver stops working on it
+    cancelRequest(seq) {
+        const pending = this.pendingRequests.get(seq);
+        if (!pending) return;
+        this.pendingRequests.delete(seq);
+        try {
+            fs.writeFileSync(this.cancellationPipePrefix + seq, '');
+            this.cancelledRequests.add(seq);
+        } catch (error) {
+            this.logger.debug(`Failed to signal cancellation of request ${seq}:`, error.message);
+        }
+    }
+
+    clearCancellation(seq) {
+        this.cancelledRequests.delete(seq);
+        fs.unlink(this.cancellationPipePrefix + seq, () => { /* already gone */ });
+    }
+
+    clearCancellations() {
+        for (const seq of Array.from(this.cancelledRequests)) {
+            this.clearCancellation(seq);
+        }
+    }
+
+    filePathToUri(filePath) { return pathToFileURL(path.resolve(filePath)).href; }
+    uriToFilePath(uri) { return fileURLToPath(uri); }
 
     // Fungsi-fungsi lain yang memanggil sendRequest
-    async openFile(uri, content) { await this.sendRequest('open', { file: uri.replace('file://', ''), fileContent: content }); }
-    async updateFile(uri, content) { await this.sendRequest('change', { file: uri.replace('file://', ''), line: 1, offset: 1, endLine: 100000, endOffset: 1, insertString: content }); }
-    async getHover(uri, position) { return this.sendRequest('quickinfo', { file: uri.replace('file://', ''), line: position.line + 1, offset: position.character + 1 }); }
-    async getCompletions(uri, position) { return this.sendRequest('completions', { file: uri.replace('file://', ''), line: position.line + 1, offset: position.character + 1 }); }
-
-    async getDefinition(uri, position) {
-        const result = await this.sendRequest('definition', {
-            file: uri.replace('file://', ''),
-            line: position.line + 1,
-            offset: position.character + 1
-        });
-        if (!result) return [];
-        return result.map(def => ({
-            uri: this.filePathToUri(def.file),
-            range: {
-                start: { line: def.start.line - 1, character: def.start.offset - 1 },
-                end: { line: def.end.line - 1, character: def.end.offset - 1 }
+    async openFile(uri, content) { await this.sendRequest('open', { file: this.uriToFilePath(uri), fileContent: content }); }
+    async closeFile(uri) {
+        const file = this.uriToFilePath(uri);
+        this.formatOptions.delete(file);
+        await this.sendRequest('close', { file });
+    }
+
+    // `edits` come from DocumentStore.applyChanges: LSP ranges relative to the
+    // text before each edit, which is exactly how tsserver applies `change`.
+    async updateFile(uri, edits) {
+        const file = this.uriToFilePath(uri);
+        await Promise.all(edits.map(edit => this.sendRequest('change', {
+            file,
+            line: edit.range.start.line + 1,
+            offset: edit.range.start.character + 1,
+            endLine: edit.range.end.line + 1,
+            endOffset: edit.range.end.character + 1,
+            insertString: edit.text
+        })));
+    }
+
+    async getHover(uri, position, token) {
+        const body = await this.sendRequest('quickinfo', { file: this.uriToFilePath(uri), ...toTsLocation(position) }, token);
+        return toHover(body);
+    }
+
+    async getCompletions(uri, position, context = {}, token) {
+        const file = this.uriToFilePath(uri);
+        const location = toTsLocation(position);
+        const args = { file, ...location };
+        if (COMPLETION_TRIGGER_CHARACTERS.includes(context.triggerCharacter)) {
+            args.triggerCharacter = context.triggerCharacter;
+        }
+
+        const body = await this.sendRequest('completionInfo', args, token);
+        if (!body) return { isIncomplete: false, items: [] };
+        return {
+            isIncomplete: !!body.isIncomplete,
+            items: body.entries.map(entry => toCompletionItem(entry, body, file, location, { snippetSupport: this.snippetSupport }))
+        };
+    }
+
+    async resolveCompletionItem(item, token) {
+        if (!item.data || !item.data.file) return item;
+        const { file, line, offset, entryNames } = item.data;
+
+        const details = await this.sendRequest('completionEntryDetails', { file, line, offset, entryNames }, token);
+        const detail = details && details[0];
+        if (!detail) return item;
+
+        item.detail = displayPartsToString(detail.displayParts);
+        item.documentation = toMarkdownDocumentation(detail.documentation, detail.tags);
+
+        if (detail.codeActions && detail.codeActions.length > 0) {
+            const edits = [];
+            for (const action of detail.codeActions) {
+                for (const change of action.changes) {
+                    if (change.fileName === file) edits.push(...change.textChanges.map(toTextEdit));
+                }
             }
+            if (edits.length > 0) item.additionalTextEdits = edits;
+            const source = detail.source && displayPartsToString(detail.source);
+            if (source) item.detail = `Auto import from '${source}'\n${item.detail}`;
+        }
+
+        return item;
+    }
+
+    toLocations(fileSpans) {
+        if (!fileSpans) return [];
+        return fileSpans.map(span => ({ uri: this.filePathToUri(span.file), range: toLspRange(span) }));
+    }
+
+    async getDefinition(uri, position, token) {
+        const result = await this.sendRequest('definition', { file: this.uriToFilePath(uri), ...toTsLocation(position) }, token);
+        return this.toLocations(result);
+    }
+
+    async getImplementation(uri, position, token) {
+        const result = await this.sendRequest('implementation', { file: this.uriToFilePath(uri), ...toTsLocation(position) }, token);
+        return this.toLocations(result);
+    }
+
+    async getTypeDefinition(uri, position, token) {
+        const result = await this.sendRequest('typeDefinition', { file: this.uriToFilePath(uri), ...toTsLocation(position) }, token);
+        return this.toLocations(result);
+    }
+
+    toCallHierarchyItem(item) {
+        const result = {
+            name: item.name,
+            kind: toSymbolKind(item.kind),
+            detail: item.containerName || undefined,
+            uri: this.filePathToUri(item.file),
+            range: toLspRange(item.span),
+            selectionRange: toLspRange(item.selectionSpan)
+        };
+        if (isDeprecated(item.kindModifiers)) result.tags = [SymbolTag.Deprecated];
+        return result;
+    }
+
+    async prepareCallHierarchy(uri, position, token) {
+        const body = await this.sendRequest('prepareCallHierarchy', { file: this.uriToFilePath(uri), ...toTsLocation(position) }, token);
+        if (!body) return null;
+        const items = Array.isArray(body) ? body : [body];
+        return items.map(item => this.toCallHierarchyItem(item));
+    }
+
+    // Both directions are keyed off the selection start of the item the client hands back
+    callHierarchyArgs(item) {
+        return { file: this.uriToFilePath(item.uri), ...toTsLocation(item.selectionRange.start) };
+    }
+
+    async getIncomingCalls(item, token) {
+        const body = await this.sendRequest('provideCallHierarchyIncomingCalls', this.callHierarchyArgs(item), token);
+        if (!body) return [];
+        return body.map(call => ({
+            from: this.toCallHierarchyItem(call.from),
+            fromRanges: call.fromSpans.map(toLspRange)
+        }));
+    }
+
+    async getOutgoingCalls(item, token) {
+        const body = await this.sendRequest('provideCallHierarchyOutgoingCalls', this.callHierarchyArgs(item), token);
+        if (!body) return [];
+        return body.map(call => ({
+            to: this.toCallHierarchyItem(call.to),
+            fromRanges: call.fromSpans.map(toLspRange)
         }));
     }
 
-    async getCodeActions(uri, range, context = {}) {
+    async getSignatureHelp(uri, position, context = {}, token) {
+        let triggerReason = { kind: 'invoked' };
+        if (context.isRetrigger) {
+            triggerReason = { kind: 'retrigger', triggerCharacter: context.triggerCharacter };
+        } else if (context.triggerKind === SIGNATURE_HELP_TRIGGER_CHARACTER) {
+            triggerReason = { kind: 'characterTyped', triggerCharacter: context.triggerCharacter };
+        }
+
+        const body = await this.sendRequest('signatureHelp', { file: this.uriToFilePath(uri), ...toTsLocation(position), triggerReason }, token);
+        return toSignatureHelp(body);
+    }
+
+    // tsserver keeps format settings per file, so only re-send them when the
+    // editor's FormattingOptions actually change for that file.
+    async configureFormatting(file, options = {}) {
+        const formatOptions = {
+            tabSize: options.tabSize,
+            indentSize: options.tabSize,
+            convertTabsToSpaces: options.insertSpaces,
+            trimTrailingWhitespace: options.trimTrailingWhitespace
+        };
+        const key = JSON.stringify(formatOptions);
+        if (this.formatOptions.get(file) === key) return;
+
+        await this.sendRequest('configure', { file, formatOptions });
+        this.formatOptions.set(file, key);
+    }
+
+    async formatRange(uri, range, options, token) {
+        const file = this.uriToFilePath(uri);
+        await this.configureFormatting(file, options);
+
+        const start = toTsLocation(range.start);
+        const end = toTsLocation(range.end);
+        const body = await this.sendRequest('format', { file, ...start, endLine: end.line, endOffset: end.offset }, token);
+        return (body || []).map(toTextEdit);
+    }
+
+    async formatOnKey(uri, position, key, options, token) {
+        const file = this.uriToFilePath(uri);
+        await this.configureFormatting(file, options);
+
+        const body = await this.sendRequest('formatonkey', { file, ...toTsLocation(position), key }, token);
+        return (body || []).map(toTextEdit);
+    }
+
+    // `document` is the DocumentStore copy, used to turn offsets into positions
+    async getSemanticTokens(uri, document, range, token) {
+        const start = range ? document.offsetAt(range.start) : 0;
+        const end = range ? document.offsetAt(range.end) : document.text.length;
+
+        const body = await this.sendRequest('encodedSemanticClassifications-full', {
+            file: this.uriToFilePath(uri),
+            start,
+            length: end - start,
+            format: '2020'
+        }, token);
+        if (!body) return { data: [] };
+        return toSemanticTokens(body.spans, document);
+    }
+
+    // Only the requested range is computed; clients ask for the visible viewport
+    async getInlayHints(uri, document, range, token) {
+        const start = document.offsetAt(range.start);
+        const end = document.offsetAt(range.end);
+
+        const body = await this.sendRequest('provideInlayHints', { file: this.uriToFilePath(uri), start, length: end - start }, token);
+        return (body || []).map(toInlayHint);
+    }
+
+    async getReferences(uri, position, context = {}, token) {
+        const body = await this.sendRequest('references', { file: this.uriToFilePath(uri), ...toTsLocation(position) }, token);
+        if (!body) return [];
+        // Newer tsservers drop `isDefinition`; declarations still carry a context span
+        const isDeclaration = ref => (ref.isDefinition !== undefined ? ref.isDefinition : !!ref.contextStart);
+        return body.refs
+            .filter(ref => context.includeDeclaration !== false || !isDeclaration(ref))
+            .map(ref => ({ uri: this.filePathToUri(ref.file), range: toLspRange(ref) }));
+    }
+
+    requestRename(uri, position, token) {
+        return this.sendRequest('rename', {
+            file: this.uriToFilePath(uri),
+            ...toTsLocation(position),
+            findInStrings: this.preferences.renameInStrings,
+            findInComments: this.preferences.renameInComments
+        }, token);
+    }
+
+    async prepareRename(uri, position, token) {
+        const body = await this.requestRename(uri, position, token);
+        if (!body) return null;
+        if (!body.info.canRename) {
+            throw new Error(body.info.localizedErrorMessage || 'You cannot rename this element.');
+        }
+        return { range: toLspRange(body.info.triggerSpan), placeholder: body.info.displayName };
+    }
+
+    async rename(uri, position, newName, token) {
+        const body = await this.requestRename(uri, position, token);
+        if (!body) return null;
+        if (!body.info.canRename) {
+            throw new Error(body.info.localizedErrorMessage || 'You cannot rename this element.');
+        }
+
+        const changes = {};
+        for (const group of body.locs) {
+            const fileUri = this.filePathToUri(group.file);
+            changes[fileUri] = group.locs.map(loc => ({
+                range: toLspRange(loc),
+                newText: (loc.prefixText || '') + newName + (loc.suffixText || '')
+            }));
+        }
+        return { changes };
+    }
+
+    async getDocumentSymbols(uri, token) {
+        const body = await this.sendRequest('navtree', { file: this.uriToFilePath(uri) }, token);
+        if (!body) return [];
+        // The root item is the file itself; its children are the top-level symbols
+        const symbols = [];
+        for (const item of body.childItems || []) {
+            symbols.push(...toDocumentSymbols(item));
+        }
+        return symbols;
+    }
+
+    async getWorkspaceSymbols(query, uri, token) {
+        const args = { searchValue: query, maxResultCount: 256 };
+        if (uri) args.file = this.uriToFilePath(uri);
+
+        const body = await this.sendRequest('navto', args, token);
+        if (!body) return [];
+        return body.map(item => {
+            const symbol = {
+                name: item.name,
+                kind: toSymbolKind(item.kind),
+                location: { uri: this.filePathToUri(item.file), range: toLspRange(item) },
+                containerName: item.containerName || undefined
+            };
+            if (isDeprecated(item.kindModifiers)) symbol.tags = [SymbolTag.Deprecated];
+            return symbol;
+        });
+    }
+
+    // tsserver FileCodeEdits[] -> LSP WorkspaceEdit. New files (e.g. "Move to a
+    // new file") need documentChanges so the client creates them first;
+    // clients that can't create files get plain changes.
+    toWorkspaceEdit(fileCodeEdits) {
+        if (this.createFileSupport && fileCodeEdits.some(change => change.isNewFile)) {
+            const documentChanges = [];
+            for (const change of fileCodeEdits) {
+                const uri = this.filePathToUri(change.fileName);
+                if (change.isNewFile) documentChanges.push({ kind: 'create', uri, options: { ignoreIfExists: true } });
+                documentChanges.push({ textDocument: { uri, version: null }, edits: change.textChanges.map(toTextEdit) });
+            }
+            return { documentChanges };
+        }
+
+        const changes = {};
+        for (const change of fileCodeEdits) {
+            const uri = this.filePathToUri(change.fileName);
+            changes[uri] = (changes[uri] || []).concat(change.textChanges.map(toTextEdit));
+        }
+        return { changes };
+    }
+
+    toFileRangeArgs(uri, range) {
+        const start = toTsLocation(range.start);
+        const end = toTsLocation(range.end);
+        return {
+            file: this.uriToFilePath(uri),
+            startLine: start.line,
+            startOffset: start.offset,
+            endLine: end.line,
+            endOffset: end.offset
+        };
+    }
+
+    async getCodeActions(uri, range, context = {}, token) {
         const args = {
-            file: uri.replace('file://', ''),
-            startLine: range.start.line + 1,
-            startOffset: range.start.character + 1,
-            endLine: range.end.line + 1,
-            endOffset: range.end.character + 1,
+            ...this.toFileRangeArgs(uri, range),
             errorCodes: (context.diagnostics || [])
                 .map(d => Number(d.code))
                 .filter(code => !isNaN(code))
         };
-        const result = await this.sendRequest('getCodeFixes', args);
+        if (args.errorCodes.length === 0) return [];
+
+        const result = await this.sendRequest('getCodeFixes', args, token);
         if (!result) return [];
-        return result.map(fix => ({
-            title: fix.description,
-            edit: {
-                changes: fix.changes.map(change => ({
-                    textDocument: { uri: this.filePathToUri(change.fileName) },
-                    edits: change.textChanges.map(tc => ({
-                        range: {
-                            start: { line: tc.start.line - 1, character: tc.start.offset - 1 },
-                            end: { line: tc.end.line - 1, character: tc.end.offset - 1 }
-                        },
-                        newText: tc.newText
-                    }))
-                }))
+
+        const actions = [];
+        const fixAllIds = new Set();
+        for (const fix of result) {
+            actions.push({
+                title: fix.description,
+                kind: 'quickfix',
+                diagnostics: context.diagnostics,
+                edit: this.toWorkspaceEdit(fix.changes)
+            });
+            if (fix.fixId && fix.fixAllDescription && !fixAllIds.has(fix.fixId)) {
+                fixAllIds.add(fix.fixId);
+                actions.push({
+                    title: fix.fixAllDescription,
+                    kind: 'quickfix',
+                    data: { type: 'combinedFix', uri, fixId: fix.fixId }
+                });
             }
-        }));
+        }
+        return actions;
+    }
+
+    async getRefactorActions(uri, range, context = {}, token) {
+        const args = {
+            ...this.toFileRangeArgs(uri, range),
+            // LSP CodeActionTriggerKind.Invoked === 1
+            triggerReason: context.triggerKind === 1 ? 'invoked' : 'implicit'
+        };
+        const result = await this.sendRequest('getApplicableRefactors', args, token);
+        if (!result) return [];
+
+        const actions = [];
+        for (const refactor of result) {
+            for (const action of refactor.actions) {
+                if (action.notApplicableReason) continue;
+                if (!this.createFileSupport && NEW_FILE_REFACTORS.includes(refactor.name)) continue;
+                actions.push({
+                    title: action.description,
+                    kind: action.kind || 'refactor',
+                    data: { type: 'refactor', uri, range, refactor: refactor.name, action: action.name }
+                });
+            }
+        }
+        return actions;
+    }
+
+    // Edits for these are only computed once the user picks one (codeAction/resolve)
+    getSourceActions(uri) {
+        return [
+            { title: 'Organize Imports', kind: 'source.organizeImports', data: { type: 'organizeImports', uri } },
+            { title: 'Add all missing imports', kind: 'source.addMissingImports', data: { type: 'combinedFix', uri, fixId: 'fixMissingImport' } },
+            { title: 'Fix all', kind: 'source.fixAll', data: { type: 'fixAll', uri } }
+        ];
+    }
+
+    async resolveCodeAction(action, token) {
+        const data = action.data;
+        if (!data || action.edit) return action;
+        const file = this.uriToFilePath(data.uri);
+
+        switch (data.type) {
+            case 'refactor': {
+                const body = await this.sendRequest('getEditsForRefactor', {
+                    ...this.toFileRangeArgs(data.uri, data.range),
+                    refactor: data.refactor,
+                    action: data.action
+                }, token);
+                if (body) action.edit = this.toWorkspaceEdit(body.edits);
+                break;
+            }
+            case 'organizeImports': {
+                const body = await this.sendRequest('organizeImports', { scope: { type: 'file', args: { file } } }, token);
+                action.edit = this.toWorkspaceEdit(body || []);
+                break;
+            }
+            case 'combinedFix': {
+                const body = await this.sendRequest('getCombinedCodeFix', { scope: { type: 'file', args: { file } }, fixId: data.fixId }, token);
+                action.edit = this.toWorkspaceEdit(body ? body.changes : []);
+                break;
+            }
+            case 'fixAll':
+                action.edit = this.toWorkspaceEdit(await this.getFixAllEdits(file, token));
+                break;
+        }
+        return action;
+    }
+
+    /**
+     * Collects the auto-fixable problems in `file` and merges their combined
+     * fixes. Only fixes that are safe to apply without user input are used,
+     * matching what VS Code runs for `source.fixAll.ts`.
+     */
+    async getFixAllEdits(file, token) {
+        const diagnostics = await this.sendRequest('semanticDiagnosticsSync', { file }, token) || [];
+        const fixIds = new Set();
+        const edits = [];
+
+        for (const diagnostic of diagnostics) {
+            const fixes = await this.sendRequest('getCodeFixes', {
+                file,
+                startLine: diagnostic.start.line,
+                startOffset: diagnostic.start.offset,
+                endLine: diagnostic.end.line,
+                endOffset: diagnostic.end.offset,
+                errorCodes: [diagnostic.code]
+            }, token) || [];
+            for (const fix of fixes) {
+                if (!AUTO_FIXABLE_FIX_IDS.includes(fix.fixName)) continue;
+                // tsserver only hands out a fixId when the file has several instances to combine
+                if (fix.fixId) fixIds.add(fix.fixId);
+                else edits.push(...fix.changes);
+            }
+        }
+
+        for (const fixId of fixIds) {
+            const body = await this.sendRequest('getCombinedCodeFix', { scope: { type: 'file', args: { file } }, fixId }, token);
+            if (body) edits.push(...body.changes);
+        }
+        return edits;
     }
 }
 
@@ -0,0 +1,47 @@
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { PROJECT_CONFIG_FILE } = require('./configuration');
+
+// Registered with the client through workspace/didChangeWatchedFiles
+const WATCHED_FILE_PATTERNS = [
+    '**/package.json',
+    '**/{package-lock.json,npm-shrinkwrap.json,yarn.lock,pnpm-lock.yaml}',
+    '**/{tsconfig,jsconfig}*.json',
+    '**/node_modules/*/package.json',
+    '**/node_modules/@*/*/package.json',
+    `**/${PROJECT_CONFIG_FILE}`
+];
+
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+/**
+ * Tells what a watched file is, so the handler knows what to reload:
+ * `{ kind: 'manifest' | 'dependency' | 'lockfile' | 'tsconfig' | 'config', filePath }`,
+ * with `packageName` for dependencies. Returns null for anything else.
+ */
+function classifyWatchedFile(uri) {
+    let filePath;
+    try {
+        filePath = fileURLToPath(uri);
+    } catch (error) {
+        return null;
+    }
+    const name = path.basename(filePath);
+    const parts = filePath.split(path.sep);
+    const nodeModules = parts.lastIndexOf('node_modules');
+
+    if (nodeModules !== -1) {
+        if (name !== 'package.json') return null;
+        const packageParts = parts.slice(nodeModules + 1, -1);
+        const isPackageRoot = packageParts.length === 1 ||
+            (packageParts.length === 2 && packageParts[0].startsWith('@'));
+        return isPackageRoot ? { kind: 'dependency', filePath, packageName: packageParts.join('/') } : null;
+    }
+    if (name === 'package.json') return { kind: 'manifest', filePath };
+    if (LOCKFILES.includes(name)) return { kind: 'lockfile', filePath };
+    if (/^(tsconfig|jsconfig).*\.json$/.test(name)) return { kind: 'tsconfig', filePath };
+    if (name === PROJECT_CONFIG_FILE) return { kind: 'config', filePath };
+    return null;
+}
+
+module.exports = { WATCHED_FILE_PATTERNS, classifyWatchedFile };
@@ -0,0 +1,71 @@
+const path = require('path');
+const { fileURLToPath } = require('url');
+const Logger = require('./logger');
+
+/**
+ * The workspace folders the client has open, each with its own services
+ * (task runner, dependency info) built by `createServices(folderPath)`.
+ * A document belongs to the innermost folder containing it, so nested
+ * folders work as expected.
+ */
+class WorkspaceFolders {
+    constructor(createServices, disposeServices = () => {}) {
+        this.createServices = createServices;
+        this.disposeServices = disposeServices;
+        this.logger = new Logger('WorkspaceFolders');
+        this.folders = new Map();
+    }
+
+    add({ uri, name }) {
+        if (this.folders.has(uri)) return this.folders.get(uri);
+        const folderPath = uriToPath(uri);
+        const folder = { uri, name: name || path.basename(folderPath), path: folderPath };
+        Object.assign(folder, this.createServices(folderPath));
+        this.folders.set(uri, folder);
+        this.logger.info(`Added workspace folder ${folder.name} (${folderPath})`);
+        return folder;
+    }
+
+    remove(uri) {
+        const folder = this.folders.get(uri);
+        if (!folder) return;
+        this.folders.delete(uri);
+        this.disposeServices(folder);
+        this.logger.info(`Removed workspace folder ${folder.name}`);
+    }
+
+    get(uri) {
+        return this.folders.get(uri);
+    }
+
+    all() {
+        return Array.from(this.folders.values());
+    }
+
+    get size() {
+        return this.folders.size;
+    }
+
+    // The innermost folder containing the document, or null if it lies outside the workspace
+    folderFor(documentUri) {
+        let filePath;
+        try {
+            filePath = uriToPath(documentUri);
+        } catch (error) {
+            return null;
+        }
+
+        let owner = null;
+        for (const folder of this.folders.values()) {
+            const inside = filePath === folder.path || filePath.startsWith(folder.path + path.sep);
+            if (inside && (!owner || folder.path.length > owner.path.length)) owner = folder;
+        }
+        return owner;
+    }
+}
+
+function uriToPath(uri) {
+    return path.resolve(fileURLToPath(uri));
+}
+
+module.exports = WorkspaceFolders;